@@ -0,0 +1,165 @@
+var Meow = Meow || {};
+
+//audio service, added as a plugin in Boot so it keeps running across state changes
+//music: one track per level, crossfaded when the level changes
+//sound effects: small pool per key so spamming a sound (coins) doesn't stack up dozens of instances
+Meow.AudioManager = function(game, parent) {
+  Phaser.Plugin.call(this, game, parent);
+
+  //track playing (or fading in): {sound, level, target}
+  this.music = null;
+  //tracks fading out
+  this.fadingOut = [];
+  //key of the track a level is about to play, kept in the cache until it starts
+  this.reservedKey = null;
+  //sound effect instances by key
+  this.sfxPools = {};
+
+  //music volume multiplier while a jingle plays
+  this.duckLevel = 1;
+  this.duckTarget = 1;
+
+  this.applySettings();
+};
+
+//ms to fade a track in or out
+Meow.AudioManager.CROSSFADE_TIME = 1500;
+//ms to duck the music in or out
+Meow.AudioManager.DUCK_TIME = 300;
+//music volume multiplier under a jingle
+Meow.AudioManager.DUCK_VOLUME = 0.2;
+//instances of the same sound effect allowed at once
+Meow.AudioManager.MAX_SFX_INSTANCES = 3;
+
+Meow.AudioManager.prototype = Object.create(Phaser.Plugin.prototype);
+Meow.AudioManager.prototype.constructor = Meow.AudioManager;
+
+//read the volumes from the settings
+Meow.AudioManager.prototype.applySettings = function(){
+  this.musicVolume = Meow.Settings.get('musicVolume');
+  this.sfxVolume = Meow.Settings.get('sfxVolume');
+
+  for(var key in this.sfxPools) {
+    this.sfxPools[key].forEach(function(sound){
+      sound.volume = this.sfxVolume;
+    }, this);
+  }
+};
+
+//start a track, fading out the previous one. Keeps playing if it's already the current track
+//and fades back in if it was fading out, levels sharing a track share its key
+Meow.AudioManager.prototype.playMusic = function(key){
+  this.reservedKey = null;
+  if(this.music && this.music.sound.key == key) {
+    return;
+  }
+  this.stopMusic();
+
+  var fading = this.findFadingTrack(key);
+  if(fading) {
+    this.fadingOut.splice(this.fadingOut.indexOf(fading), 1);
+    fading.target = 1;
+    this.music = fading;
+    return;
+  }
+
+  var sound = this.game.sound.add(key, 0, true);
+  sound.play();
+  this.music = {sound: sound, level: 0, target: 1};
+};
+
+//called by LevelLoad when it finds the track already in the cache, so a fade out ending before the level starts leaves it there
+Meow.AudioManager.prototype.reserveMusic = function(key){
+  this.reservedKey = key;
+};
+
+Meow.AudioManager.prototype.findFadingTrack = function(key){
+  for(var i = 0; i < this.fadingOut.length; i++) {
+    if(this.fadingOut[i].sound.key == key) {
+      return this.fadingOut[i];
+    }
+  }
+  return null;
+};
+
+//true while the key is played, fading out or about to be played
+Meow.AudioManager.prototype.isMusicKeyInUse = function(key){
+  return (this.music && this.music.sound.key == key) || !!this.findFadingTrack(key) || this.reservedKey == key;
+};
+
+Meow.AudioManager.prototype.stopMusic = function(){
+  if(this.music) {
+    this.music.target = 0;
+    this.fadingOut.push(this.music);
+    this.music = null;
+  }
+};
+
+Meow.AudioManager.prototype.playSfx = function(key){
+  var pool = this.sfxPools[key] = this.sfxPools[key] || [];
+  var sound = null;
+
+  pool.forEach(function(instance){
+    if(!sound && !instance.isPlaying) {
+      sound = instance;
+    }
+  });
+
+  if(!sound) {
+    if(pool.length < Meow.AudioManager.MAX_SFX_INSTANCES) {
+      sound = this.game.sound.add(key, this.sfxVolume);
+      pool.push(sound);
+    }
+    else {
+      //all busy, restart the oldest one
+      sound = pool.shift();
+      pool.push(sound);
+    }
+  }
+
+  sound.play();
+  return sound;
+};
+
+//sound effect with the music ducked under it until it ends
+Meow.AudioManager.prototype.playJingle = function(key){
+  var sound = this.playSfx(key);
+  this.duckTarget = Meow.AudioManager.DUCK_VOLUME;
+
+  sound.onStop.addOnce(function(){
+    this.duckTarget = 1;
+  }, this);
+  return sound;
+};
+
+Meow.AudioManager.prototype.update = function(){
+  var elapsed = this.game.time.elapsedMS;
+
+  this.duckLevel = Meow.Utils.approach(this.duckLevel, this.duckTarget, elapsed / Meow.AudioManager.DUCK_TIME);
+
+  if(this.music) {
+    this.fadeTrack(this.music, elapsed);
+  }
+
+  var finished = [];
+  this.fadingOut = this.fadingOut.filter(function(track){
+    this.fadeTrack(track, elapsed);
+    if(track.level > 0) {
+      return true;
+    }
+    finished.push(track.sound.key);
+    track.sound.destroy();
+    return false;
+  }, this);
+  //music is loaded per level by LevelLoad, drop a track from the cache once nothing plays it
+  finished.forEach(function(key){
+    if(!this.isMusicKeyInUse(key)) {
+      this.game.cache.removeSound(key);
+    }
+  }, this);
+};
+
+Meow.AudioManager.prototype.fadeTrack = function(track, elapsed){
+  track.level = Meow.Utils.approach(track.level, track.target, elapsed / Meow.AudioManager.CROSSFADE_TIME);
+  track.sound.volume = this.musicVolume * track.level * this.duckLevel;
+};
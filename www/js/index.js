@@ -20,6 +20,8 @@ var app = {
     // Application Constructor
     initialize: function() {
         document.addEventListener('deviceready', this.onDeviceReady.bind(this), false);
+        //browsers don't fire the cordova pause event, hiding the tab does the same
+        document.addEventListener('visibilitychange', this.onVisibilityChange.bind(this), false);
     },
 
     // deviceready Event Handler
@@ -28,11 +30,32 @@ var app = {
     // 'pause', 'resume', etc.
     onDeviceReady: function() {
         this.receivedEvent('deviceready');
+        document.addEventListener('pause', this.onPause.bind(this), false);
+    },
+
+    // pause Event Handler
+    //
+    // The app went to the background (notification, call, home button):
+    // open the pause menu if a level is being played.
+    onPause: function() {
+        if (window.Meow && Meow.game && Meow.game.state.current === 'Game') {
+            Meow.GameState.pauseGame();
+        }
+    },
+
+    onVisibilityChange: function() {
+        if (document.hidden) {
+            this.onPause();
+        }
     },
 
     // Update DOM on a Received Event
     receivedEvent: function(id) {
         var parentElement = document.getElementById(id);
+        // the game page has no event status elements
+        if (!parentElement) {
+            return;
+        }
         var listeningElement = parentElement.querySelector('.listening');
         var receivedElement = parentElement.querySelector('.received');
 
@@ -0,0 +1,81 @@
+var Meow = Meow || {};
+
+//local high score table, best runs first: {name, score, breakdown, level, date}, kept in localStorage
+//the stored data has a version, older data is migrated up to the current one instead of being dropped
+Meow.Leaderboard = {
+  STORAGE_KEY: 'leaderboard',
+  VERSION: 1,
+  //runs kept in the table
+  SIZE: 10,
+  DEFAULT_NAME: 'Player',
+  //characters kept of a name
+  NAME_LENGTH: 12,
+
+  //functions turning the data of a version into the next one, by version
+  migrations: {
+    //before the table there was only the best score under 'highScore'
+    0: function(data) {
+      var highScore = +localStorage.getItem('highScore');
+      var entries = [];
+      if(highScore > 0) {
+        entries.push({name: Meow.Leaderboard.DEFAULT_NAME, score: highScore, breakdown: {}, level: null, date: null});
+      }
+      localStorage.removeItem('highScore');
+      return {version: 1, entries: entries, lastName: null};
+    }
+  },
+
+  load: function() {
+    var data = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {version: 0};
+    if(data.version < this.VERSION) {
+      while(data.version < this.VERSION) {
+        data = this.migrations[data.version](data);
+      }
+      this.save(data);
+    }
+    return data;
+  },
+
+  save: function(data) {
+    localStorage.setItem(this.STORAGE_KEY, JSON.stringify(data));
+  },
+
+  getEntries: function() {
+    return this.load().entries;
+  },
+
+  //best score in the table, 0 when it is empty
+  getBest: function() {
+    var entries = this.getEntries();
+    return entries.length ? entries[0].score : 0;
+  },
+
+  //name entered for the last run that made it in the table, to offer it again
+  getLastName: function() {
+    return this.load().lastName || this.DEFAULT_NAME;
+  },
+
+  //does a run with this score make it in the table
+  qualifies: function(score) {
+    var entries = this.getEntries();
+    return score > 0 && (entries.length < this.SIZE || score > entries[entries.length - 1].score);
+  },
+
+  //put a run in the table, returns its rank (0 for the first place) or -1 if it didn't make it
+  add: function(entry) {
+    var data = this.load();
+    var rank = 0;
+    while(rank < data.entries.length && data.entries[rank].score >= entry.score) {
+      rank++;
+    }
+    if(rank >= this.SIZE) {
+      return -1;
+    }
+
+    data.entries.splice(rank, 0, entry);
+    data.entries = data.entries.slice(0, this.SIZE);
+    data.lastName = entry.name;
+    this.save(data);
+    return rank;
+  }
+};
@@ -0,0 +1,32 @@
+var Meow = Meow || {};
+
+//registry of the playable levels, read from assets/levels/levels.json
+//to add a level: export the Tiled map as json and add an entry to the manifest
+Meow.Levels = {
+  list: [],
+
+  //keep the parsed manifest (loaded in Boot)
+  register: function(manifest) {
+    this.list = manifest.levels;
+  },
+
+  get: function(key) {
+    for(var i = 0; i < this.list.length; i++) {
+      if(this.list[i].key == key) {
+        return this.list[i];
+      }
+    }
+    return null;
+  },
+
+  first: function() {
+    return this.list[0];
+  },
+
+  //the level played after the given one, the order of the manifest decides
+  //after the last level we go back to the first one
+  next: function(key) {
+    var index = this.list.indexOf(this.get(key));
+    return this.list[(index + 1) % this.list.length];
+  }
+};
@@ -8,7 +8,13 @@ Meow.game.state.add('Boot', Meow.BootState);
 Meow.game.state.add('Preload', Meow.PreloadState); 
 //can add menuw or home state here
 Meow.game.state.add('Home', Meow.HomeState);
+Meow.game.state.add('LevelSelect', Meow.LevelSelectState);
+Meow.game.state.add('Settings', Meow.SettingsState);
+Meow.game.state.add('Leaderboard', Meow.LeaderboardState);
+Meow.game.state.add('LevelLoad', Meow.LevelLoadState);
 
 Meow.game.state.add('Game', Meow.GameState);
+Meow.game.state.add('LevelComplete', Meow.LevelCompleteState);
+Meow.game.state.add('GameOver', Meow.GameOverState);
 
 Meow.game.state.start('Boot'); 
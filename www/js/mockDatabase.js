@@ -0,0 +1,105 @@
+var Meow = Meow || {};
+
+//in-memory stand-in for the Firebase Realtime Database, with only what the online leaderboard uses:
+//ref(path) with set, transaction, orderByChild, limitToFirst, limitToLast and once('value')
+//used with play.html?online=mock to try the online leaderboard without a Firebase project
+Meow.MockDatabase = function() {
+  //tree of plain values, like the real database
+  this.data = {};
+  //set to false (Meow.OnlineLeaderboard.database.online = false in the console) to make every call fail as if offline
+  this.online = true;
+};
+
+Meow.MockDatabase.prototype.ref = function(path) {
+  return new Meow.MockDatabase.Query(this, path.split('/'), null, null);
+};
+
+//a promise of the value, or a failed one while offline
+Meow.MockDatabase.prototype.result = function(value) {
+  return this.online ? Promise.resolve(value) : Promise.reject(new Error('The mock database is offline'));
+};
+
+//location in the tree, optionally ordered by a child and limited to the first or last few children
+Meow.MockDatabase.Query = function(database, keys, orderKey, limit) {
+  this.database = database;
+  this.keys = keys;
+  this.orderKey = orderKey;
+  this.limit = limit;
+};
+
+Meow.MockDatabase.Query.prototype.get = function() {
+  var value = this.database.data;
+  for(var i = 0; i < this.keys.length && value; i++) {
+    value = value[this.keys[i]];
+  }
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+};
+
+Meow.MockDatabase.Query.prototype.set = function(value) {
+  var parent = this.database.data;
+  this.keys.slice(0, -1).forEach(function(key){
+    parent = parent[key] = parent[key] || {};
+  });
+  parent[this.keys[this.keys.length - 1]] = JSON.parse(JSON.stringify(value));
+  return this.database.result();
+};
+
+//update gets the current value and returns the new one, or undefined to leave it as it is
+Meow.MockDatabase.Query.prototype.transaction = function(update) {
+  if(!this.database.online) {
+    return this.database.result();
+  }
+  var value = update(this.get());
+  if(value !== undefined) {
+    this.set(value);
+  }
+  return this.database.result({committed: value !== undefined, snapshot: new Meow.MockDatabase.Snapshot(this.get())});
+};
+
+Meow.MockDatabase.Query.prototype.orderByChild = function(key) {
+  return new Meow.MockDatabase.Query(this.database, this.keys, key, this.limit);
+};
+
+Meow.MockDatabase.Query.prototype.limitToFirst = function(count) {
+  return new Meow.MockDatabase.Query(this.database, this.keys, this.orderKey, {count: count, last: false});
+};
+
+Meow.MockDatabase.Query.prototype.limitToLast = function(count) {
+  return new Meow.MockDatabase.Query(this.database, this.keys, this.orderKey, {count: count, last: true});
+};
+
+Meow.MockDatabase.Query.prototype.once = function(eventType) {
+  var value = this.get();
+  var childKeys = value && typeof value == 'object' ? Object.keys(value) : [];
+
+  if(this.orderKey) {
+    var orderKey = this.orderKey;
+    childKeys.sort(function(a, b){
+      return value[a][orderKey] - value[b][orderKey];
+    });
+  }
+  if(this.limit) {
+    childKeys = this.limit.last ? childKeys.slice(-this.limit.count) : childKeys.slice(0, this.limit.count);
+  }
+  return this.database.result(new Meow.MockDatabase.Snapshot(value, childKeys));
+};
+
+//value read from the mock, children listed in the order of the query
+Meow.MockDatabase.Snapshot = function(value, childKeys) {
+  this.value = value;
+  this.childKeys = childKeys || [];
+};
+
+Meow.MockDatabase.Snapshot.prototype.val = function() {
+  return this.value;
+};
+
+//like the Firebase snapshot, returning true from callback stops the loop
+Meow.MockDatabase.Snapshot.prototype.forEach = function(callback) {
+  for(var i = 0; i < this.childKeys.length; i++) {
+    if(callback(new Meow.MockDatabase.Snapshot(this.value[this.childKeys[i]]))) {
+      return true;
+    }
+  }
+  return false;
+};
@@ -0,0 +1,212 @@
+var Meow = Meow || {};
+
+//online leaderboard in the Firebase Realtime Database, for players signed in with Firebase Auth:
+//  scores/<uid>: best run of the player {name, score, breakdown, level, date}
+//  levelTimes/<level key>/<uid>: best time of the player on the level {name, time, date}
+//submissions wait in a queue kept in localStorage until the database takes them, and are retried after failures
+//(no network, app closed before the write went through). Only the best result is kept, so sending one twice does no harm
+//play.html?online=mock uses Meow.MockDatabase and a test player, play.html?online=emulator the local database emulator
+Meow.OnlineLeaderboard = {
+  QUEUE_KEY: 'onlineQueue',
+  //oldest submissions are dropped past this
+  MAX_QUEUE: 50,
+  //ms before retrying after a failure, doubled after each failure in a row up to the max
+  RETRY_DELAY: 5000,
+  MAX_RETRY_DELAY: 60000,
+  //ms a call may take before it counts as failed, Firebase itself waits for the network forever
+  TIMEOUT: 10000,
+  //entries fetched for display
+  SIZE: 10,
+
+  //Firebase database, the mock, or null when Firebase didn't load (offline start)
+  database: null,
+  //signed in player {uid, displayName}, null when signed out
+  user: null,
+  flushing: false,
+  retryDelay: 0,
+  retryTimer: null,
+  //why the last submission failed, null once one went through
+  lastError: null,
+
+  //called once in Boot
+  init: function() {
+    if(this.getMode() == 'mock') {
+      this.database = new Meow.MockDatabase();
+      Meow.Auth.useMockUser({uid: 'test-player', displayName: 'Tester', email: 'tester@supermeow.local'});
+    }
+    else if(window.firebase && firebase.apps.length) {
+      this.database = firebase.database();
+    }
+    Meow.Auth.onChange(this.setUser, this);
+    //back online, send what is waiting
+    window.addEventListener('online', this.flush.bind(this));
+  },
+
+  //value of the online parameter of the page URL, 'firebase' without one
+  getMode: function() {
+    var match = /[?&]online=(\w+)/.exec(window.location.search);
+    return match ? match[1] : 'firebase';
+  },
+
+  //Firebase Auth user (see Meow.Auth), or null once signed out
+  setUser: function(user) {
+    this.user = user ? {uid: user.uid, displayName: user.displayName} : null;
+    this.flush();
+  },
+
+  //name shown with the player's results, without a display name the one last entered for the local high scores
+  //so email addresses are never shown
+  getName: function() {
+    return (this.user.displayName || Meow.Leaderboard.getLastName()).substr(0, 12);
+  },
+
+  isSignedIn: function() {
+    return !!this.user;
+  },
+
+  //score: total of the run, breakdown: points by source (see Meow.Score)
+  submitScore: function(score, breakdown, level) {
+    if(score <= 0) {
+      return;
+    }
+    this.submit({type: 'score', data: {score: score, breakdown: breakdown, level: level}});
+  },
+
+  //time in seconds
+  submitTime: function(level, time) {
+    this.submit({type: 'time', level: level, data: {time: time}});
+  },
+
+  submit: function(item) {
+    if(!this.user) {
+      return;
+    }
+    //tells the submission apart once sent, its place in the queue changes when older ones are dropped
+    item.id = Date.now() + '-' + Math.random().toString(36).substr(2, 6);
+    item.uid = this.user.uid;
+    item.data.name = this.getName();
+    item.data.date = Date.now();
+
+    var queue = this.loadQueue();
+    queue.push(item);
+    this.saveQueue(queue.slice(-this.MAX_QUEUE));
+    this.flush();
+  },
+
+  loadQueue: function() {
+    return JSON.parse(localStorage.getItem(this.QUEUE_KEY)) || [];
+  },
+
+  saveQueue: function(queue) {
+    localStorage.setItem(this.QUEUE_KEY, JSON.stringify(queue));
+  },
+
+  //index of the next submission of a player, -1 if none
+  //submissions of another player wait until they sign in again, the database only takes a player's own results
+  nextInQueue: function(queue, uid) {
+    for(var i = 0; i < queue.length; i++) {
+      if(queue[i].uid == uid) {
+        return i;
+      }
+    }
+    return -1;
+  },
+
+  //index of the submission with this id, -1 if it is no longer in the queue
+  indexInQueue: function(queue, id) {
+    for(var i = 0; i < queue.length; i++) {
+      if(queue[i].id == id) {
+        return i;
+      }
+    }
+    return -1;
+  },
+
+  //send the waiting submissions one at a time, stop at the first failure and retry later
+  flush: function() {
+    if(this.flushing || !this.database || !this.user) {
+      return;
+    }
+    var uid = this.user.uid;
+    var queue = this.loadQueue();
+    var index = this.nextInQueue(queue, uid);
+    if(index < 0) {
+      return;
+    }
+
+    var id = queue[index].id;
+    this.flushing = true;
+    clearTimeout(this.retryTimer);
+    this.withTimeout(this.write(queue[index])).then(function(){
+      //the queue may have changed meanwhile (submissions added, the oldest dropped), or it was cleared
+      var queue = this.loadQueue();
+      var sent = this.indexInQueue(queue, id);
+      if(sent >= 0) {
+        queue.splice(sent, 1);
+        this.saveQueue(queue);
+      }
+
+      this.flushing = false;
+      this.retryDelay = 0;
+      this.lastError = null;
+      this.flush();
+    }.bind(this), function(error){
+      this.lastError = error;
+      this.flushing = false;
+      this.retryDelay = Math.min(Math.max(this.retryDelay * 2, this.RETRY_DELAY), this.MAX_RETRY_DELAY);
+      this.retryTimer = setTimeout(this.flush.bind(this), this.retryDelay);
+    }.bind(this));
+  },
+
+  //keep the stored result unless the submitted one beats it
+  write: function(item) {
+    if(item.type == 'score') {
+      return this.database.ref('scores/' + item.uid).transaction(function(current){
+        return current && current.score >= item.data.score ? undefined : item.data;
+      });
+    }
+    return this.database.ref('levelTimes/' + item.level + '/' + item.uid).transaction(function(current){
+      return current && current.time <= item.data.time ? undefined : item.data;
+    });
+  },
+
+  //best runs, highest score first
+  fetchScores: function() {
+    return this.fetch(this.database && this.database.ref('scores').orderByChild('score').limitToLast(this.SIZE), true);
+  },
+
+  //best times on a level, fastest first
+  fetchTimes: function(level) {
+    return this.fetch(this.database && this.database.ref('levelTimes/' + level).orderByChild('time').limitToFirst(this.SIZE), false);
+  },
+
+  //promise of the entries of the query, reversed for the queries sorted the wrong way
+  fetch: function(query, reverse) {
+    if(!query) {
+      return Promise.reject(new Error('Firebase is not available'));
+    }
+    return this.withTimeout(query.once('value')).then(function(snapshot){
+      var entries = [];
+      snapshot.forEach(function(child){
+        entries.push(child.val());
+      });
+      return reverse ? entries.reverse() : entries;
+    });
+  },
+
+  withTimeout: function(promise) {
+    var timeout = this.TIMEOUT;
+    return new Promise(function(resolve, reject){
+      var timer = setTimeout(function(){
+        reject(new Error('no answer after ' + timeout + 'ms'));
+      }, timeout);
+      promise.then(function(value){
+        clearTimeout(timer);
+        resolve(value);
+      }, function(error){
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+  }
+};
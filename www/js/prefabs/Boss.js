@@ -0,0 +1,177 @@
+var Meow = Meow || {};
+
+//boss guarding the end of a level, it waits until start() is called (the player entered its arena)
+//then loops through the attack pattern of its current phase
+Meow.Boss = function(game, x, y, type, tilemap, target, projectiles) {
+  //a missing or misspelled bossType makes the Mouse King
+  this.bossType = Meow.Boss.TYPES[type] ? type : 'mouseKing';
+  this.stats = Meow.Boss.TYPES[this.bossType];
+
+  Phaser.Sprite.call(this, game, x, y, this.stats.key, this.stats.frame);
+
+  this.game = game;
+  this.tilemap = tilemap;
+  this.target = target;
+  this.projectiles = projectiles;
+  this.anchor.setTo(0.5);
+  this.scale.setTo(this.stats.scale);
+  this.tint = this.stats.tint || 0xffffff;
+  this.maxHealth = this.health = this.stats.hitPoints;
+  this.spawn = {x: x, y: y};
+  this.fighting = false;
+  //time until which hits don't hurt it
+  this.hitCooldownEnd = 0;
+
+  //enable physics
+  this.game.physics.arcade.enableBody(this);
+  this.body.collideWorldBounds = true;
+};
+
+//ms the boss can't be hurt again after a hit
+Meow.Boss.HIT_COOLDOWN = 600;
+
+//boss types, chosen with the bossType property of the boss object in Tiled
+//a phase is used while health / hitPoints is at or below its health value, the last matching one wins
+//pattern: attacks played in a loop, each for time ms (walk, charge, jump, shoot or rest)
+Meow.Boss.TYPES = {
+  mouseKing: {
+    name: 'Mouse King', key: 'slime', scale: 2.5, tint: 0xcc88ff, hitPoints: 6,
+    phases: [
+      {health: 1, speed: 70, pattern: [{attack: 'walk', time: 2500}, {attack: 'jump', time: 1200}, {attack: 'rest', time: 1000}]},
+      {health: 0.67, speed: 100, pattern: [{attack: 'charge', time: 1500}, {attack: 'shoot', time: 800}, {attack: 'rest', time: 800}]},
+      {health: 0.34, speed: 140, pattern: [{attack: 'charge', time: 1200}, {attack: 'jump', time: 1000}, {attack: 'shoot', time: 600}, {attack: 'rest', time: 500}]}
+    ]
+  }
+};
+
+Meow.Boss.prototype = Object.create(Phaser.Sprite.prototype);
+Meow.Boss.prototype.constructor = Meow.Boss;
+
+Meow.Boss.prototype.start = function(){
+  this.fighting = true;
+  this.step = -1;
+  this.nextStep();
+};
+
+//back to its spawn with full health, waiting for the player again
+Meow.Boss.prototype.respawn = function(){
+  this.reset(this.spawn.x, this.spawn.y, this.maxHealth);
+  this.fighting = false;
+  this.tint = this.stats.tint || 0xffffff;
+};
+
+//take a hit, returns false if the fight hasn't started yet or the boss is still recovering from the last one
+Meow.Boss.prototype.hit = function(){
+  if(!this.fighting || this.game.time.now < this.hitCooldownEnd) {
+    return false;
+  }
+  this.hitCooldownEnd = this.game.time.now + Meow.Boss.HIT_COOLDOWN;
+  this.damage(1);
+
+  if(this.alive) {
+    this.tint = 0xff0000;
+    this.game.time.events.add(150, function(){
+      this.tint = this.stats.tint || 0xffffff;
+    }, this);
+  }
+  return true;
+};
+
+Meow.Boss.prototype.getPhase = function(){
+  var ratio = this.health / this.maxHealth;
+  var phase = this.stats.phases[0];
+
+  this.stats.phases.forEach(function(candidate){
+    if(ratio <= candidate.health) {
+      phase = candidate;
+    }
+  });
+  return phase;
+};
+
+Meow.Boss.prototype.nextStep = function(){
+  this.phase = this.getPhase();
+  this.step = (this.step + 1) % this.phase.pattern.length;
+  this.attack = this.phase.pattern[this.step];
+  this.attackEndTime = this.game.time.now + this.attack.time;
+
+  var start = this[this.attack.attack + 'Start'];
+  if(start) {
+    start.call(this);
+  }
+};
+
+Meow.Boss.prototype.update = function(){
+  if(!this.alive || !this.fighting) {
+    return;
+  }
+
+  //a phase change cuts the current attack short
+  if(this.game.time.now >= this.attackEndTime || this.getPhase() != this.phase) {
+    this.nextStep();
+  }
+
+  var update = this[this.attack.attack + 'Update'];
+  if(update) {
+    update.call(this);
+  }
+
+  //make it look towards it's movement
+  if(this.body.velocity.x != 0) {
+    this.scale.x = (this.body.velocity.x > 0 ? -1 : 1) * this.stats.scale;
+  }
+};
+
+Meow.Boss.prototype.directionToTarget = function(){
+  return this.target.x < this.x ? -1 : 1;
+};
+
+Meow.Boss.prototype.walkStart = function(){
+  this.body.velocity.x = this.directionToTarget() * this.phase.speed;
+};
+
+Meow.Boss.prototype.walkUpdate = function(){
+  var direction = this.body.velocity.x > 0 ? 1 : -1;
+
+  if(this.body.blocked.left || this.body.blocked.right || (this.body.blocked.down && Meow.Enemy.prototype.isCliffAhead.call(this, direction))) {
+    this.body.velocity.x = -direction * this.phase.speed;
+  }
+};
+
+Meow.Boss.prototype.chargeUpdate = function(){
+  var direction = this.directionToTarget();
+
+  //stop at the edge instead of running off it
+  if(this.body.blocked.down && Meow.Enemy.prototype.isCliffAhead.call(this, direction)) {
+    this.body.velocity.x = 0;
+  }
+  else {
+    this.body.velocity.x = direction * this.phase.speed * 2;
+  }
+};
+
+Meow.Boss.prototype.jumpStart = function(){
+  if(this.body.blocked.down) {
+    this.body.velocity.y = -550;
+    this.body.velocity.x = this.directionToTarget() * this.phase.speed;
+  }
+};
+
+Meow.Boss.prototype.shootStart = function(){
+  this.body.velocity.x = 0;
+
+  //three shots fanned out around the player
+  var angle = this.game.physics.arcade.angleBetween(this, this.target);
+  [-0.25, 0, 0.25].forEach(function(spread){
+    var projectile = this.projectiles.getFirstDead();
+    if(!projectile) {
+      projectile = new Meow.Projectile(this.game, 0, 0, 'bullet');
+      this.projectiles.add(projectile);
+    }
+    projectile.fire(this.x, this.y, angle + spread, 220);
+  }, this);
+};
+
+Meow.Boss.prototype.restStart = function(){
+  this.body.velocity.x = 0;
+};
@@ -0,0 +1,30 @@
+var Meow = Meow || {};
+
+//torch from the tiles spritesheet, lit once the player reaches it
+Meow.Checkpoint = function(game, x, y, key) {
+  Phaser.Sprite.call(this, game, x, y, key, Meow.Checkpoint.FRAME_OFF);
+  
+  this.game = game;
+  this.anchor.setTo(0.5);
+  this.isActive = false;
+  
+  //enable physics
+  this.game.physics.arcade.enableBody(this);
+  this.body.allowGravity = false;
+};
+
+//torch frames in the tiles spritesheet
+Meow.Checkpoint.FRAME_OFF = 13;
+Meow.Checkpoint.FRAME_ON = 25;
+
+Meow.Checkpoint.prototype = Object.create(Phaser.Sprite.prototype);
+Meow.Checkpoint.prototype.constructor = Meow.Checkpoint;
+
+Meow.Checkpoint.prototype.activate = function(){
+  this.isActive = true;
+  this.frame = Meow.Checkpoint.FRAME_ON;
+  
+  //small pop so the player notices it
+  this.scale.setTo(1.5);
+  this.game.add.tween(this.scale).to({x: 1, y: 1}, 300, Phaser.Easing.Back.Out, true);
+};
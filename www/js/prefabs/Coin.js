@@ -1,21 +1,93 @@
 var Meow = Meow || {};
 
-Meow.Coin = function(game, x, y, key, tilemap) {
-  Phaser.Sprite.call(this, game, x, y, key);
+//tier: bronze, silver or gold, from the coinType property of the coin object in Tiled (bronze if missing or unknown)
+Meow.Coin = function(game, x, y, tier, tilemap) {
+  this.tier = Meow.Coin.TIERS[tier] ? tier : 'bronze';
+  this.value = Meow.Coin.TIERS[this.tier].value;
+  
+  Phaser.Sprite.call(this, game, x, y, Meow.Coin.textures[this.tier]);
   
   this.game = game;
   this.tilemap = tilemap;
   this.anchor.setTo(0.5);
   
+  //spin, each coin from a random frame so they don't all turn together
+  this.animations.add('spin', null, 10, true);
+  this.animations.play('spin');
+  this.animations.currentAnim.setFrame(this.game.rnd.between(0, Meow.Coin.SPIN_FRAMES - 1), true);
+  
   //enable physics
   this.game.physics.arcade.enableBody(this);
   //this.body.collideWorldBounds = true;
     this.body.allowGravity=false;
     
+    //where to put it back when the player respawns, the magnet moves it
+    this.spawn = {x: x, y: y};
+    //sprite it is pulled towards, set while the magnet power-up is on
+    this.magnet = null;
+};
+
+//coins counted for each tier, and the color the gold coin is turned into (brightness times color, null keeps it gold)
+Meow.Coin.TIERS = {
+  bronze: {value: 1, color: {r: 205, g: 127, b: 50}},
+  silver: {value: 5, color: {r: 180, g: 185, b: 200}},
+  gold: {value: 10, color: null}
+};
+
+//frames of half a turn, the coin looks the same from both sides
+Meow.Coin.SPIN_FRAMES = 6;
+Meow.Coin.SIZE = 35;
+
+//spin frames of each tier, made by createTextures
+Meow.Coin.textures = {};
+
+//called once the gold coin is loaded, there is a single coin image (coins_spritesheet.png has the same one, among 70px tiles)
+//the other tiers are recolored copies of it, and the frames squash it to its edge and back
+Meow.Coin.createTextures = function(game){
+  var size = Meow.Coin.SIZE;
+  for(var tier in Meow.Coin.TIERS) {
+    var face = game.make.bitmapData();
+    face.load('gold');
+    var color = Meow.Coin.TIERS[tier].color;
+    if(color) {
+      face.processPixelRGB(function(pixel){
+        //the gold coin is yellow with darker edges, keep how bright each pixel is
+        var brightness = Math.min(1, (0.3 * pixel.r + 0.59 * pixel.g + 0.11 * pixel.b) / 200);
+        pixel.r = Math.round(color.r * brightness);
+        pixel.g = Math.round(color.g * brightness);
+        pixel.b = Math.round(color.b * brightness);
+        return pixel;
+      });
+    }
+
+    var frames = new Phaser.FrameData();
+    var sheet = game.make.bitmapData(size * Meow.Coin.SPIN_FRAMES, size);
+    for(var i = 0; i < Meow.Coin.SPIN_FRAMES; i++) {
+      var width = Math.max(2, Math.round(size * Math.abs(Math.cos(i * Math.PI / Meow.Coin.SPIN_FRAMES))));
+      sheet.copy(face, 0, 0, size, size, i * size + (size - width) / 2, 0, width, size);
+      frames.addFrame(new Phaser.Frame(i, i * size, 0, size, size, ''));
+    }
+    face.destroy();
+    Meow.Coin.textures[tier] = game.cache.addBitmapData('coin_' + tier, sheet, frames);
+  }
 };
 
+//px around the player the magnet reaches, and px/s the coins fly at
+Meow.Coin.MAGNET_RADIUS = 150;
+Meow.Coin.MAGNET_SPEED = 300;
+
 Meow.Coin.prototype = Object.create(Phaser.Sprite.prototype);
 Meow.Coin.prototype.constructor = Meow.Coin;
 
+Meow.Coin.prototype.respawn = function(){
+  this.reset(this.spawn.x, this.spawn.y);
+};
+
 Meow.Coin.prototype.update = function(){
+  if(this.magnet && this.alive && this.game.physics.arcade.distanceBetween(this, this.magnet) < Meow.Coin.MAGNET_RADIUS) {
+    this.game.physics.arcade.moveToObject(this, this.magnet, Meow.Coin.MAGNET_SPEED);
+  }
+  else {
+    this.body.velocity.set(0);
+  }
 };
\ No newline at end of file
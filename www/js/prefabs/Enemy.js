@@ -1,31 +1,85 @@
 var Meow = Meow || {};
 
-Meow.Enemy = function(game, x, y, key, velocity, tilemap) {
-  Phaser.Sprite.call(this, game, x, y, key);
-  
+Meow.Enemy = function(game, x, y, type, velocity, tilemap, target, projectiles) {
+  //a missing or misspelled enemyType makes a patroller
+  this.enemyType = Meow.Enemy.TYPES[type] ? type : 'patroller';
+  this.stats = Meow.Enemy.TYPES[this.enemyType];
+
+  Phaser.Sprite.call(this, game, x, y, this.stats.key, this.stats.frame);
+
   this.game = game;
   this.tilemap = tilemap;
+  //the player, for the enemies that react to it
+  this.target = target;
+  //group the shots are taken from
+  this.projectiles = projectiles;
   this.anchor.setTo(0.5);
-  
+  this.health = this.stats.hitPoints;
+
   //give it a random speed if none given
   if(!velocity) {
-    velocity = (40 + Math.random() * 20) * (Math.random() < 0.5 ? 1 : -1);
+    velocity = this.stats.speed ? (this.stats.speed + Math.random() * 20) * (Math.random() < 0.5 ? 1 : -1) : 0;
   }
-  
+
+  //where to put it back when the player respawns
+  this.spawn = {x: x, y: y, velocity: velocity};
+
   //enable physics
   this.game.physics.arcade.enableBody(this);
   this.body.collideWorldBounds = true;
   this.body.bounce.set(1, 0);
   this.body.velocity.x = velocity;
+  this.body.immovable = !!this.stats.immovable;
+
+  //time of the next jump or shot
+  this.nextActionTime = this.game.time.now + (this.stats.interval || 0);
+};
+
+//enemy types, chosen with the enemyType property of the enemy object in Tiled
+//behavior is the update method used, the rest are its settings
+Meow.Enemy.TYPES = {
+  //walks back and forth, turning at walls and cliffs
+  patroller: {key: 'slime', speed: 40, hitPoints: 1, stompable: true, behavior: 'patrol'},
+  //runs at the player once it comes within radius, patrols otherwise
+  chaser: {key: 'mouse', speed: 60, chaseSpeed: 130, radius: 220, hitPoints: 1, stompable: true, behavior: 'chase'},
+  //patrols slowly and hops every interval ms, takes two stomps
+  jumper: {key: 'pinkSlime', speed: 30, jumpSpeed: 450, interval: 1500, hitPoints: 2, stompable: true, behavior: 'jump'},
+  //stays put and shoots at the player within radius, hurts when stomped
+  turret: {key: 'tiles', frame: 60, speed: 0, radius: 300, interval: 2000, projectileSpeed: 200, hitPoints: 3, stompable: false, immovable: true, behavior: 'turret'}
 };
 
 Meow.Enemy.prototype = Object.create(Phaser.Sprite.prototype);
 Meow.Enemy.prototype.constructor = Meow.Enemy;
 
+Meow.Enemy.prototype.respawn = function(){
+  this.reset(this.spawn.x, this.spawn.y, this.stats.hitPoints);
+  this.body.velocity.x = this.spawn.velocity;
+};
+
+//take a hit, returns true if it killed the enemy
+Meow.Enemy.prototype.hit = function(){
+  this.damage(1);
+
+  if(this.alive) {
+    //flash to show the hit
+    this.tint = 0xff0000;
+    this.game.time.events.add(150, function(){
+      this.tint = 0xffffff;
+    }, this);
+  }
+  return !this.alive;
+};
+
 Meow.Enemy.prototype.update = function(){
-  
+  if(this.alive) {
+    this[this.stats.behavior]();
+  }
+};
+
+Meow.Enemy.prototype.patrol = function(){
+
   var direction
-  
+
   //make it look towards it's movement
   if(this.body.velocity.x > 0){
     this.scale.setTo(-1,1);
@@ -35,14 +89,73 @@ Meow.Enemy.prototype.update = function(){
     this.scale.setTo(1, 1);
     direction = -1;
   }
-  
+
   //make it view ahead and detect cliffs
+  if(this.isCliffAhead(direction) && this.body.blocked.down) {
+    this.body.velocity.x *= -1;
+  }
+};
+
+Meow.Enemy.prototype.chase = function(){
+  var distance = this.target.x - this.x;
+
+  if(!this.target.alive || Math.abs(distance) > this.stats.radius || Math.abs(this.target.y - this.y) > this.stats.radius / 2) {
+    //lost the player, back to a normal walk
+    if(Math.abs(this.body.velocity.x) != Math.abs(this.spawn.velocity)) {
+      this.body.velocity.x = (this.body.velocity.x < 0 ? -1 : 1) * Math.abs(this.spawn.velocity);
+    }
+    this.patrol();
+    return;
+  }
+
+  var direction = distance < 0 ? -1 : 1;
+  this.scale.setTo(-direction, 1);
+
+  //don't follow the player off a cliff
+  if(this.isCliffAhead(direction) && this.body.blocked.down) {
+    this.body.velocity.x = 0;
+  }
+  else {
+    this.body.velocity.x = direction * this.stats.chaseSpeed;
+  }
+};
+
+Meow.Enemy.prototype.jump = function(){
+  this.patrol();
+
+  if(this.body.blocked.down && this.game.time.now >= this.nextActionTime) {
+    this.body.velocity.y = -this.stats.jumpSpeed;
+    this.nextActionTime = this.game.time.now + this.stats.interval;
+  }
+};
+
+Meow.Enemy.prototype.turret = function(){
+  this.body.velocity.x = 0;
+
+  if(!this.target.alive || this.game.physics.arcade.distanceBetween(this, this.target) > this.stats.radius) {
+    return;
+  }
+
+  this.scale.setTo(this.target.x > this.x ? -1 : 1, 1);
+
+  if(this.game.time.now >= this.nextActionTime) {
+    this.nextActionTime = this.game.time.now + this.stats.interval;
+
+    var projectile = this.projectiles.getFirstDead();
+    if(!projectile) {
+      projectile = new Meow.Projectile(this.game, 0, 0, 'bullet');
+      this.projectiles.add(projectile);
+    }
+    projectile.fire(this.x, this.y, this.game.physics.arcade.angleBetween(this, this.target), this.stats.projectileSpeed);
+  }
+};
+
+//no ground under the next step
+Meow.Enemy.prototype.isCliffAhead = function(direction){
   var nextX = this.x + direction * (Math.abs(this.width)/2 + 1);
   var nextY = this.bottom + 1;
-  
+
   var nextTile = this.tilemap.getTileWorldXY(nextX, nextY, this.tilemap.tileWidth, this.tilemap.tileHeight, 'collisionLayer');
-  
-  if(!nextTile && this.body.blocked.down) {
-    this.body.velocity.x *= -1;
-  }
-};
\ No newline at end of file
+
+  return !nextTile;
+};
@@ -0,0 +1,56 @@
+var Meow = Meow || {};
+
+//enemy that flies back and forth along a path, gravity doesn't pull it
+//path: list of {x, y} world points, from a Tiled polyline or the waypoints property
+Meow.FlyingEnemy = function(game, x, y, path, speed, tilemap) {
+  Meow.Enemy.call(this, game, x, y, 'flyer', 0, tilemap);
+
+  this.speed = speed || this.stats.speed;
+  //without a path it flies a few tiles to the right and back
+  this.path = path && path.length > 1 ? path : [{x: x, y: y}, {x: x + 3 * tilemap.tileWidth, y: y}];
+  this.pathIndex = 0;
+  this.pathDirection = 1;
+
+  this.body.allowGravity = false;
+  this.body.bounce.set(0);
+
+  this.animations.add('flying', [0, 1], 8, true);
+  this.play('flying');
+};
+
+Meow.Enemy.TYPES.flyer = {key: 'fly', speed: 80, hitPoints: 1, stompable: true, behavior: 'fly'};
+
+Meow.FlyingEnemy.prototype = Object.create(Meow.Enemy.prototype);
+Meow.FlyingEnemy.prototype.constructor = Meow.FlyingEnemy;
+
+Meow.FlyingEnemy.prototype.respawn = function(){
+  this.reset(this.spawn.x, this.spawn.y, this.stats.hitPoints);
+  this.pathIndex = 0;
+  this.pathDirection = 1;
+};
+
+Meow.FlyingEnemy.prototype.fly = function(){
+  var waypoint = this.path[this.pathIndex];
+
+  //reached the waypoint, go to the next one, turning around at both ends of the path
+  if(Phaser.Math.distance(this.x, this.y, waypoint.x, waypoint.y) < 4) {
+    if(!this.path[this.pathIndex + this.pathDirection]) {
+      this.pathDirection *= -1;
+    }
+    this.pathIndex += this.pathDirection;
+    waypoint = this.path[this.pathIndex];
+  }
+
+  this.game.physics.arcade.moveToXY(this, waypoint.x, waypoint.y, this.speed);
+
+  //make it look towards it's movement
+  this.scale.setTo(this.body.velocity.x > 0 ? -1 : 1, 1);
+};
+
+//points of the waypoints property: "x1,y1 x2,y2 ..." in world pixels
+Meow.FlyingEnemy.parseWaypoints = function(waypoints){
+  return waypoints.trim().split(/\s+/).map(function(point){
+    var coordinates = point.split(',');
+    return {x: +coordinates[0], y: +coordinates[1]};
+  });
+};
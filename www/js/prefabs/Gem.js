@@ -0,0 +1,19 @@
+var Meow = Meow || {};
+
+//hidden collectible, it only counts towards the level checklist
+Meow.Gem = function(game, x, y) {
+  Phaser.Sprite.call(this, game, x, y, 'gem');
+
+  this.game = game;
+  this.anchor.setTo(0.5);
+
+  //enable physics
+  this.game.physics.arcade.enableBody(this);
+  this.body.allowGravity = false;
+
+  //slow shine so it catches the eye once found
+  this.game.add.tween(this.scale).to({x: 0.8}, 700, Phaser.Easing.Sinusoidal.InOut, true, 0, -1, true);
+};
+
+Meow.Gem.prototype = Object.create(Phaser.Sprite.prototype);
+Meow.Gem.prototype.constructor = Meow.Gem;
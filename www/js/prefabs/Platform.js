@@ -0,0 +1,97 @@
+var Meow = Meow || {};
+
+//platform placed with a rectangle object in Tiled, stretched to the rectangle width
+//type: moving (back and forth), oneWay (can be jumped up through) or crumbling (falls once stood on)
+//options of moving platforms: direction (horizontal or vertical), distance (px to the right or down), speed (px/s), pause (ms at each end)
+Meow.Platform = function(game, x, y, width, type, options) {
+  Phaser.Sprite.call(this, game, x, y, 'platform');
+
+  this.game = game;
+  this.platformType = type || 'moving';
+  this.width = width || this.width;
+  this.spawn = {x: x, y: y};
+
+  options = options || {};
+  this.axis = options.direction == 'vertical' ? 'y' : 'x';
+  this.distance = options.distance || 105;
+  this.speed = options.speed || 60;
+  this.pause = options.pause || 500;
+
+  //enable physics, the player pushes nothing and rides on top
+  this.game.physics.arcade.enableBody(this);
+  this.body.allowGravity = false;
+  this.body.immovable = true;
+
+  if(this.platformType == 'oneWay') {
+    this.body.checkCollision.down = false;
+    this.body.checkCollision.left = false;
+    this.body.checkCollision.right = false;
+  }
+
+  //moving platforms start towards the right or down
+  this.direction = 1;
+  this.pauseEndTime = 0;
+  this.crumbling = false;
+};
+
+//ms a crumbling platform holds after being stepped on
+Meow.Platform.CRUMBLE_DELAY = 500;
+
+Meow.Platform.prototype = Object.create(Phaser.Sprite.prototype);
+Meow.Platform.prototype.constructor = Meow.Platform;
+
+//back in place, a crumbling one ready to fall again
+Meow.Platform.prototype.respawn = function(){
+  this.game.tweens.removeFrom(this);
+  this.game.time.events.remove(this.crumbleTimer);
+
+  this.reset(this.spawn.x, this.spawn.y);
+  this.alpha = 1;
+  this.body.allowGravity = false;
+  this.body.checkCollision.none = false;
+  this.crumbling = false;
+  this.direction = 1;
+  this.pauseEndTime = 0;
+};
+
+Meow.Platform.prototype.update = function(){
+  if(this.alive && this.platformType == 'moving') {
+    this.move();
+  }
+};
+
+Meow.Platform.prototype.move = function(){
+  var velocity = this.body.velocity;
+
+  if(this.game.time.now < this.pauseEndTime) {
+    velocity[this.axis] = 0;
+    return;
+  }
+
+  //turn around at both ends, waiting there a moment
+  var offset = this[this.axis] - this.spawn[this.axis];
+  if((this.direction > 0 && offset >= this.distance) || (this.direction < 0 && offset <= 0)) {
+    this[this.axis] = this.spawn[this.axis] + (this.direction > 0 ? this.distance : 0);
+    this.direction *= -1;
+    this.pauseEndTime = this.game.time.now + this.pause;
+    velocity[this.axis] = 0;
+    return;
+  }
+
+  velocity[this.axis] = this.direction * this.speed;
+};
+
+//the player landed on it, shake and fall after a moment
+Meow.Platform.prototype.crumble = function(){
+  if(this.crumbling) {
+    return;
+  }
+  this.crumbling = true;
+
+  this.game.add.tween(this).to({x: this.x + 2}, 50, Phaser.Easing.Linear.None, true, 0, 4, true);
+  this.crumbleTimer = this.game.time.events.add(Meow.Platform.CRUMBLE_DELAY, function(){
+    this.body.checkCollision.none = true;
+    this.body.allowGravity = true;
+    this.game.add.tween(this).to({alpha: 0}, 600, Phaser.Easing.Linear.None, true).onComplete.add(this.kill, this);
+  }, this);
+};
@@ -0,0 +1,37 @@
+var Meow = Meow || {};
+
+//pickup giving the player a timed effect, the kind property of the powerup object in Tiled picks which one
+Meow.PowerUp = function(game, x, y, kind) {
+  //a missing or misspelled kind makes a double jump
+  this.kind = Meow.PowerUp.KINDS[kind] ? kind : 'doubleJump';
+  this.stats = Meow.PowerUp.KINDS[this.kind];
+
+  Phaser.Sprite.call(this, game, x, y, 'powerups', this.stats.frame);
+
+  this.game = game;
+  this.anchor.setTo(0.5);
+
+  //enable physics
+  this.game.physics.arcade.enableBody(this);
+  this.body.allowGravity = false;
+
+  //float up and down so it stands out from the coins
+  this.game.add.tween(this).to({y: y - 6}, 600, Phaser.Easing.Sinusoidal.InOut, true, 0, -1, true);
+};
+
+//frame in the powerups spritesheet and ms the effect lasts, or the shots it gives for ammo
+Meow.PowerUp.KINDS = {
+  //a second jump in the air
+  doubleJump: {frame: 0, duration: 10000},
+  //faster running
+  speed: {frame: 1, duration: 8000},
+  //takes one hit instead of the player
+  shield: {frame: 2, duration: 15000},
+  //pulls the coins around the player to it
+  magnet: {frame: 3, duration: 10000},
+  //refills the player's shots right away
+  ammo: {frame: 4, ammo: 5}
+};
+
+Meow.PowerUp.prototype = Object.create(Phaser.Sprite.prototype);
+Meow.PowerUp.prototype.constructor = Meow.PowerUp;
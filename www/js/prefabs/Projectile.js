@@ -0,0 +1,32 @@
+var Meow = Meow || {};
+
+//shot that flies in a straight line, kept in a group and reused once it dies
+Meow.Projectile = function(game, x, y, key) {
+  Phaser.Sprite.call(this, game, x, y, key);
+
+  this.game = game;
+  this.anchor.setTo(0.5);
+
+  //enable physics
+  this.game.physics.arcade.enableBody(this);
+  this.body.allowGravity = false;
+
+  //don't keep flying once it leaves the level
+  this.checkWorldBounds = true;
+  this.outOfBoundsKill = true;
+
+  this.kill();
+};
+
+//ms a projectile lives at most
+Meow.Projectile.LIFESPAN = 3000;
+
+Meow.Projectile.prototype = Object.create(Phaser.Sprite.prototype);
+Meow.Projectile.prototype.constructor = Meow.Projectile;
+
+//angle in radians, speed in px/s
+Meow.Projectile.prototype.fire = function(x, y, angle, speed){
+  this.reset(x, y);
+  this.lifespan = Meow.Projectile.LIFESPAN;
+  this.game.physics.arcade.velocityFromRotation(angle, speed, this.body.velocity);
+};
@@ -0,0 +1,114 @@
+var Meow = Meow || {};
+
+//level progress of the player (unlocked levels, best coins, best times, stars and collectibles found), kept in localStorage
+Meow.Progress = {
+  STORAGE_KEY: 'progress',
+
+  //kinds of collectibles counted per level, in the order the summaries list them
+  COLLECTIBLES: [
+    {kind: 'bronze', name: 'Bronze coins'},
+    {kind: 'silver', name: 'Silver coins'},
+    {kind: 'gold', name: 'Gold coins'},
+    {kind: 'gem', name: 'Hidden gems'}
+  ],
+
+  load: function() {
+    var data = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+    data.unlocked = data.unlocked || {};
+    data.completed = data.completed || {};
+    data.best = data.best || {};
+    return data;
+  },
+
+  save: function(data) {
+    localStorage.setItem(this.STORAGE_KEY, JSON.stringify(data));
+  },
+
+  //a level is unlocked once it was reached, or when the level named in its unlock rule was completed
+  isUnlocked: function(level) {
+    var data = this.load();
+    if(data.unlocked[level.key] || !level.unlock || !level.unlock.after) {
+      return true;
+    }
+    return !!data.completed[level.unlock.after];
+  },
+
+  unlock: function(key) {
+    var data = this.load();
+    data.unlocked[key] = true;
+    this.save(data);
+  },
+
+  //best results of a level, null if it was never completed
+  getBest: function(key) {
+    return this.load().best[key] || null;
+  },
+
+  //record a finished level, time in seconds
+  //collectibles: {collected, total} by kind, the most found in one run is kept
+  completeLevel: function(key, coins, time, collectibles) {
+    var data = this.load();
+    var best = data.best[key] || {coins: 0, time: null};
+    best.collectibles = best.collectibles || {};
+
+    best.coins = Math.max(best.coins, coins);
+    if(best.time === null || time < best.time) {
+      best.time = time;
+    }
+    best.stars = Math.max(best.stars || 0, this.rate(Meow.Levels.get(key), time, coins));
+
+    for(var kind in collectibles) {
+      var previous = best.collectibles[kind] || {collected: 0};
+      best.collectibles[kind] = {
+        collected: Math.max(previous.collected, collectibles[kind].collected),
+        total: collectibles[kind].total
+      };
+    }
+
+    data.completed[key] = true;
+    data.best[key] = best;
+    this.save(data);
+    return best;
+  },
+
+  //1 to 3 stars: one for finishing, one for beating the par time and one for collecting the par coins
+  //a par value the level doesn't declare counts as met
+  rate: function(level, time, coins) {
+    var par = level.par || {};
+    var stars = 1;
+    if(par.time === undefined || time <= par.time) {
+      stars++;
+    }
+    if(par.coins === undefined || coins >= par.coins) {
+      stars++;
+    }
+    return stars;
+  },
+
+  //★★☆ for 2 stars
+  describeStars: function(stars) {
+    var text = '';
+    for(var i = 0; i < 3; i++) {
+      text += i < stars ? '★' : '☆';
+    }
+    return text;
+  },
+
+  //"Bronze coins 3/5" for each kind the level has
+  describeCollectibles: function(collectibles) {
+    return this.COLLECTIBLES.filter(function(collectible){
+      return collectibles[collectible.kind] && collectibles[collectible.kind].total > 0;
+    }).map(function(collectible){
+      var count = collectibles[collectible.kind];
+      return collectible.name + ' ' + count.collected + '/' + count.total;
+    });
+  },
+
+  //seconds to m:ss.s, rounded to tenths first so 59.96 gives 1:00.0 and not 0:60.0
+  formatTime: function(time) {
+    var tenths = Math.round(time * 10);
+    var minutes = Math.floor(tenths / 600);
+    var seconds = (tenths % 600 / 10).toFixed(1);
+    return minutes + ':' + (seconds < 10 ? '0' : '') + seconds;
+  }
+};
@@ -0,0 +1,88 @@
+var Meow = Meow || {};
+
+//score of the current run (from the level select until game over), split by where the points came from
+//carried between levels in localStorage like the coins
+Meow.Score = {
+  STORAGE_KEY: 'currentScore',
+
+  //points for each coin counted (a silver coin counts 5), stomp, enemy shot, boss and second under the par time
+  POINTS: {coin: 10, stomp: 100, shot: 50, boss: 1000, second: 20},
+  //chained stomps without touching the ground multiply the stomp points, up to this
+  MAX_COMBO: 5,
+
+  //sources of points, in the order the breakdowns list them
+  SOURCES: [
+    {key: 'coins', name: 'Coins'},
+    {key: 'stomps', name: 'Stomps'},
+    {key: 'shots', name: 'Shots'},
+    {key: 'boss', name: 'Bosses'},
+    {key: 'time', name: 'Time bonus'}
+  ],
+
+  //an empty breakdown, points by source
+  create: function() {
+    var score = {};
+    this.SOURCES.forEach(function(source){
+      score[source.key] = 0;
+    });
+    return score;
+  },
+
+  copy: function(score) {
+    var copy = this.create();
+    for(var key in copy) {
+      copy[key] = score[key] || 0;
+    }
+    return copy;
+  },
+
+  //the run in progress, or a new one
+  load: function() {
+    return this.copy(JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {});
+  },
+
+  save: function(score) {
+    localStorage.setItem(this.STORAGE_KEY, JSON.stringify(score));
+  },
+
+  //the run is over, the next level played starts a new one
+  clear: function() {
+    localStorage.removeItem(this.STORAGE_KEY);
+  },
+
+  total: function(score) {
+    var total = 0;
+    for(var key in score) {
+      total += score[key];
+    }
+    return total;
+  },
+
+  //add points to a source, returns the points added
+  add: function(score, source, points) {
+    score[source] += points;
+    return points;
+  },
+
+  //combo: stomps chained so far, this one included
+  stompPoints: function(combo) {
+    return this.POINTS.stomp * Math.min(combo, this.MAX_COMBO);
+  },
+
+  //points for the whole seconds left under the level's par time, none without a par
+  timeBonus: function(level, time) {
+    if(!level.par || level.par.time === undefined) {
+      return 0;
+    }
+    return Math.max(0, Math.floor(level.par.time - time)) * this.POINTS.second;
+  },
+
+  //"Stomps: 300" for each source that gave points
+  describe: function(score) {
+    return this.SOURCES.filter(function(source){
+      return score[source.key] > 0;
+    }).map(function(source){
+      return source.name + ': ' + score[source.key];
+    });
+  }
+};
@@ -0,0 +1,65 @@
+var Meow = Meow || {};
+
+//player settings (volumes, mute and control layout), kept in localStorage
+Meow.Settings = {
+  STORAGE_KEY: 'settings',
+
+  defaults: {
+    musicVolume: 1,
+    sfxVolume: 1,
+    mute: false,
+    //'stick' for the virtual joystick, 'buttons' for the left/right arrow buttons
+    controls: 'stick'
+  },
+
+  //what the settings screens show, tapping an option moves it to its next value
+  options: [
+    {name: 'musicVolume', label: 'Music', values: [0, 0.25, 0.5, 0.75, 1]},
+    {name: 'sfxVolume', label: 'Effects', values: [0, 0.25, 0.5, 0.75, 1]},
+    {name: 'mute', label: 'Mute', values: [false, true]},
+    {name: 'controls', label: 'Controls', values: ['stick', 'buttons']}
+  ],
+
+  load: function() {
+    var stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+    var settings = {};
+    for(var name in this.defaults) {
+      settings[name] = stored.hasOwnProperty(name) ? stored[name] : this.defaults[name];
+    }
+    return settings;
+  },
+
+  get: function(name) {
+    return this.load()[name];
+  },
+
+  set: function(name, value) {
+    var settings = this.load();
+    settings[name] = value;
+    localStorage.setItem(this.STORAGE_KEY, JSON.stringify(settings));
+  },
+
+  cycle: function(option) {
+    var index = option.values.indexOf(this.get(option.name));
+    this.set(option.name, option.values[(index + 1) % option.values.length]);
+  },
+
+  describe: function(option) {
+    var value = this.get(option.name);
+    if(typeof value == 'number') {
+      value = Math.round(value * 100) + '%';
+    }
+    else if(typeof value == 'boolean') {
+      value = value ? 'On' : 'Off';
+    }
+    else {
+      value = value.charAt(0).toUpperCase() + value.slice(1);
+    }
+    return option.label + ': ' + value;
+  },
+
+  //settings that apply to the whole game rather than to a single sound
+  apply: function(game) {
+    game.sound.mute = this.get('mute');
+  }
+};
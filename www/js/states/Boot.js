@@ -27,8 +27,16 @@ Meow.BootState = {
   preload: function() {
     //assets we'll use in the loading screen
     this.load.image('preloadbar', 'assets/images/preloader-bar.png');
+    //level manifest, Preload needs it to know which maps to load
+    this.load.json('levels', 'assets/levels/levels.json');
   },
   create: function() {
+    Meow.Levels.register(this.cache.getJSON('levels'));
+    Meow.Settings.apply(this.game);
+    //audio service living across all states
+    Meow.audio = this.game.plugins.add(Meow.AudioManager);
+    //sends the results of signed in players, and whatever was left waiting from last time
+    Meow.OnlineLeaderboard.init();
     this.state.start('Preload');
   }
 };
\ No newline at end of file
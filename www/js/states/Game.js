@@ -4,12 +4,46 @@ Meow.GameState = {
 
   init: function(level) {    
 
-    this.currentLevel = level || 'level1';
+    this.currentLevel = level || Meow.Levels.first().key;
+    this.level = Meow.Levels.get(this.currentLevel);
     
     //constants
     this.RUNNING_SPEED = 180;
+    //px/s² when speeding up and when slowing down or turning
+    this.RUN_ACCELERATION = 900;
+    this.RUN_DECELERATION = 1400;
+    //part of the acceleration the player still has in the air
+    this.AIR_CONTROL = 0.5;
+    //walking animation frame rate at full speed
+    this.WALKING_FPS = 10;
     this.JUMPING_SPEED = 500;
+    //letting go of jump while going up cuts the speed to this, so short taps jump lower
+    this.JUMP_CUT_SPEED = 200;
+    //ms after leaving a ledge during which a jump still works
+    this.COYOTE_TIME = 100;
+    //ms a jump pressed before landing is remembered
+    this.JUMP_BUFFER_TIME = 150;
     this.BOUNCING_SPEED = 150;
+    //running speed multiplier of the speed power-up
+    this.SPEED_BOOST = 1.5;
+    //player shots: ms between two, px/s, and how many the player can carry
+    this.SHOT_COOLDOWN = 400;
+    this.SHOT_SPEED = 450;
+    this.STARTING_AMMO = 5;
+    this.MAX_AMMO = 15;
+    //swimming: part of the gravity and running speed left in the water, px/s of a stroke up and most px/s sinking
+    this.SWIM_GRAVITY = 0.3;
+    this.SWIM_SPEED = 0.5;
+    this.SWIM_STROKE_SPEED = 250;
+    this.SWIM_SINK_SPEED = 100;
+    //px/s on ladders, and ms after jumping off one before it can be grabbed again
+    this.CLIMB_SPEED = 120;
+    this.CLIMB_REGRAB_TIME = 300;
+    this.STARTING_LIVES = 3;
+    //ms the player can't be hurt after losing a life
+    this.INVULNERABLE_TIME = 2000;
+    //ms the game over message shows on the level before the game over screen
+    this.GAME_OVER_DELAY = 1500;
 
     //gravity
     this.game.physics.arcade.gravity.y = 1000;    
@@ -21,36 +55,59 @@ Meow.GameState = {
     //this.myCoins=0;
     //get the number of coins from localStorage
     this.myCoins=+localStorage.getItem('currentCoin');
+    //coins collected in this level only
+    this.levelCoins=0;
+    //score of the run, and as it was when the level started
+    this.score=Meow.Score.load();
+    this.levelStartScore=Meow.Score.copy(this.score);
+    //enemies stomped since the player last stood on something
+    this.stompCombo=0;
+    //lives are carried between levels like the coins
+    this.lives=+localStorage.getItem('currentLives') || this.STARTING_LIVES;
+    //lines of the pause menu, when it is open
+    this.pauseMenuItems=null;
+    //power-up effects running, by kind: {endTime, icon, label}
+    this.effects={};
+    //shots left, refilled by ammo pickups
+    this.ammo=this.STARTING_AMMO;
+    this.nextShotTime=0;
       
   },//end of init
   create: function() {
+    //reaching a level unlocks it in the level select
+    Meow.Progress.unlock(this.currentLevel);
     //load current level
     this.loadLevel();
     //show on-screen touch controls
     this.createOnscreenControls();
-    //coin sound
-    this.coinSound = this.add.audio('coin_sound');
-    //hit enemy sound
-    this.hitSound=this.add.audio('kick');
-    //game over sound
-    this.gameoverSound=this.add.audio('gameover');
-    //background music
-    this.backgroundSound=this.add.audio('background_music');
-    //show number of coins
+    //show number of coins next to the coin icon
     var style={font:'30px Arial', fill:'#fff'};
-    this.coinsCountLabel=this.add.text(10, 20, 'Coins: '+this.myCoins,style);
+    this.coinsIcon=this.add.sprite(10, 17, 'hudCoins');
+    this.coinsIcon.scale.setTo(0.75);
+    this.coinsIcon.fixedToCamera=true;
+    this.coinsCountLabel=this.add.text(50, 35, ''+this.myCoins,style);
+    this.coinsCountLabel.anchor.setTo(0, 0.5);
     this.coinsCountLabel.fixedToCamera=true;
+    //show the score of the run
+    this.scoreLabel=this.add.text(10, 55, 'Score: '+Meow.Score.total(this.score), {font:'22px Arial', fill:'#fff'});
+    this.scoreLabel.fixedToCamera=true;
+    //show number of lives
+    this.livesLabel=this.add.text(200, 20, 'Lives: '+this.lives,style);
+    this.livesLabel.fixedToCamera=true;
+    //show number of shots
+    this.ammoLabel=this.add.text(360, 20, 'Ammo: '+this.ammo,style);
+    this.ammoLabel.fixedToCamera=true;
+    //icons and countdowns of the power-ups in effect
+    this.effectsHud=this.add.group();
+    this.effectsHud.fixedToCamera=true;
     //the following code are for virtual joystick
     this.pad = this.game.plugins.add(Phaser.VirtualJoystick);
-    this.stick = this.pad.addStick(0, 0, 100, 'generic');
-    //scale the stick size to 50%
-    this.stick.scale=0.5;
-    //make the joystick more transparent
-    this.stick.apha=0.5;
-    this.stick.alignBottomLeft(20);
-    this.stick.motionLock = Phaser.VirtualJoystick.HORIZONTAL;
-    //play background music
-    this.backgroundSound.play();
+    //stick or arrow buttons, as chosen in the settings
+    this.createMovementControls();
+    //play background music of the level, crossfading from the previous one
+    Meow.audio.playMusic(this.level.music.key);
+    //level timer
+    this.levelStartTime=this.game.time.now;
       
   },   //end of create
   update: function() { 
@@ -58,8 +115,36 @@ Meow.GameState = {
     this.game.physics.arcade.collide(this.player, this.collisionLayer); 
     this.game.physics.arcade.collide(this.enemies, this.collisionLayer); 
     
+    //platforms carry whatever stands on them
+    this.game.physics.arcade.collide(this.player, this.platforms, this.landOnPlatform, null, this);
+    this.game.physics.arcade.collide(this.enemies, this.platforms);
+    
+    //standing on something ends a stomp combo
+    if(this.player.body.blocked.down || this.player.body.touching.down){
+      this.stompCombo=0;
+    }
+    
     //collision between player and enemies
-    this.game.physics.arcade.collide(this.player, this.enemies, this.hitEnemy, null, this);
+    this.game.physics.arcade.collide(this.player, this.enemies, this.hitEnemy, this.canHitEnemy, this);
+    
+    //enemy shots stop at walls and hurt the player
+    this.game.physics.arcade.collide(this.enemyProjectiles, this.collisionLayer, this.killProjectile, null, this);
+    this.game.physics.arcade.overlap(this.player, this.enemyProjectiles, this.hitByProjectile, this.canHitEnemy, this);
+    
+    //player shots stop at walls and hurt enemies
+    this.game.physics.arcade.collide(this.playerShots, this.collisionLayer, this.killProjectile, null, this);
+    this.game.physics.arcade.overlap(this.playerShots, this.enemies, this.shootEnemy, null, this);
+    
+    //boss fight
+    if(this.boss){
+      this.game.physics.arcade.collide(this.boss, this.collisionLayer);
+      this.game.physics.arcade.collide(this.player, this.boss, this.hitBoss, this.canHitEnemy, this);
+      this.game.physics.arcade.overlap(this.boss, this.playerShots, this.shootBoss, null, this);
+      
+      if(this.boss.alive && !this.boss.fighting && this.player.alive && this.isInArena(this.player)){
+        this.startBossFight();
+      }
+    }
     
     //overlap between player and goal
     this.game.physics.arcade.overlap(this.player, this.goal, this.changeLevel, null, this);
@@ -68,44 +153,237 @@ Meow.GameState = {
     //collision between player and coin
     this.game.physics.arcade.overlap(this.player, this.coins, this.collectCoin, null, this);
     
-    //generic platformer behavior
-    this.player.body.velocity.x = 0;
+    //overlap between player and hidden gems
+    this.game.physics.arcade.overlap(this.player, this.gems, this.collectGem, null, this);
     
-
-    if(this.cursors.left.isDown || (this.stick.isDown && this.stick.forceX<0)) {
-      this.player.body.velocity.x = -this.RUNNING_SPEED;
+    //overlap between player and power-ups
+    this.game.physics.arcade.overlap(this.player, this.powerUps, this.collectPowerUp, null, this);
+    this.updateEffects();
+    
+    //overlap between player and checkpoints
+    this.game.physics.arcade.overlap(this.player, this.checkpoints, this.activateCheckpoint, null, this);
+    
+    //water and hazard tiles around the player
+    this.checkTiles();
+    
+    //climbing replaces the generic platformer behavior
+    if(!this.updateClimbing(this.getVerticalInput())){
+      this.updateRunning(this.getHorizontalInput());
+      
+      this.updateJump();
+    }
+    
+    //holding the shoot button keeps firing as the cooldown allows
+    if(this.isShootHeld()){
+      this.shoot();
+    }
+    
+    //kill enemy if it falls off
+    if(this.player.alive && !this.player.customParams.swimming && this.player.bottom == this.game.world.height){
+      this.playerDied();
+    }
+  },//end of update
+  //input goes from -1 to 1, the stick gives anything in between for a slower run
+  updateRunning: function(input){
+    var body = this.player.body;
+    var onGround = body.blocked.down || body.touching.down;
+    var targetSpeed = input * this.RUNNING_SPEED * (this.hasEffect('speed') ? this.SPEED_BOOST : 1);
+    if(this.player.customParams.swimming) {
+      targetSpeed *= this.SWIM_SPEED;
+    }
+    
+    //speeding up in the current direction accelerates, anything else decelerates
+    var speedingUp = input != 0 && targetSpeed * body.velocity.x >= 0 && Math.abs(targetSpeed) > Math.abs(body.velocity.x);
+    var rate = speedingUp ? this.RUN_ACCELERATION : this.RUN_DECELERATION;
+    if(!onGround) {
+      rate *= this.AIR_CONTROL;
+    }
+    body.velocity.x = Meow.Utils.approach(body.velocity.x, targetSpeed, rate * this.game.time.physicsElapsed);
+    
+    if(input < 0) {
       this.player.scale.setTo(-1, 1);
-      this.player.play('walking');
     }
-    else if(this.cursors.right.isDown || (this.stick.isDown && this.stick.forceX>0)) {
-      this.player.body.velocity.x = this.RUNNING_SPEED;
+    else if(input > 0) {
       this.player.scale.setTo(1, 1);
+    }
+    
+    var speed = Math.abs(body.velocity.x);
+    if(speed > 1) {
       this.player.play('walking');
+      //legs move as fast as the player actually goes
+      this.player.animations.currentAnim.speed = Math.max(1, this.WALKING_FPS * speed / this.RUNNING_SPEED);
     }
     else {
       this.player.animations.stop();
       this.player.frame = 2;
     }
-
-    if((this.cursors.up.isDown || this.player.customParams.mustJump) && (this.player.body.blocked.down || this.player.body.touching.down)) {
+  },
+  updateJump: function(){
+    var now = this.game.time.now;
+    var params = this.player.customParams;
+    
+    //in the water every jump is a stroke up, and sinking is slow
+    if(params.swimming) {
+      if(now - params.jumpPressedTime <= this.JUMP_BUFFER_TIME) {
+        this.player.body.velocity.y = -this.SWIM_STROKE_SPEED;
+        params.jumpPressedTime = 0;
+      }
+      this.player.body.velocity.y = Math.min(this.player.body.velocity.y, this.SWIM_SINK_SPEED);
+      return;
+    }
+    
+    if(this.player.body.blocked.down || this.player.body.touching.down) {
+      params.lastGroundedTime = now;
+      params.doubleJumped = false;
+    }
+    
+    var jumpPressed = now - params.jumpPressedTime <= this.JUMP_BUFFER_TIME;
+    
+    //jump pressed a moment ago (buffer) while on the ground or just off it (coyote time)
+    if(jumpPressed && now - params.lastGroundedTime <= this.COYOTE_TIME) {
       this.player.body.velocity.y = -this.JUMPING_SPEED;
-      this.player.customParams.mustJump = false;
+      params.jumpPressedTime = 0;
+      params.lastGroundedTime = 0;
+      params.jumping = true;
+    }
+    //one more jump in the air with the double jump power-up
+    else if(jumpPressed && !params.doubleJumped && this.hasEffect('doubleJump')) {
+      this.player.body.velocity.y = -this.JUMPING_SPEED;
+      params.jumpPressedTime = 0;
+      params.doubleJumped = true;
+      params.jumping = true;
     }
     
-    //kill enemy if it falls off
-    if(this.player.bottom == this.game.world.height){
-      this.gameOver();
+    if(params.jumping) {
+      //the longer jump is held the higher the player goes
+      if(!this.isJumpHeld() && this.player.body.velocity.y < -this.JUMP_CUT_SPEED) {
+        this.player.body.velocity.y = -this.JUMP_CUT_SPEED;
+      }
+      if(this.player.body.velocity.y >= 0) {
+        params.jumping = false;
+      }
     }
-  },//end of update
+  },
+  //returns true while the player is climbing
+  updateClimbing: function(vertical){
+    var now = this.game.time.now;
+    var params = this.player.customParams;
+    var body = this.player.body;
+    params.onClimbable = this.player.alive && this.isOnClimbable();
+    
+    //up and down are only needed next to something to climb
+    if(this.stick){
+      this.stick.motionLock = params.onClimbable ? Phaser.VirtualJoystick.NONE : Phaser.VirtualJoystick.HORIZONTAL;
+    }
+    if(this.upArrow){
+      this.upArrow.visible = this.downArrow.visible = params.onClimbable;
+    }
+    
+    if(!params.climbing){
+      //grab it by pushing up, or down while in the air
+      var onGround = body.blocked.down || body.touching.down;
+      if(params.onClimbable && now >= params.regrabTime && (vertical < -0.5 || (vertical > 0.5 && !onGround))){
+        this.setClimbing(true);
+      }
+      else {
+        return false;
+      }
+    }
+    
+    //left it behind, with a hop at the top to get onto the ledge
+    if(!params.onClimbable){
+      this.setClimbing(false);
+      if(vertical < 0){
+        body.velocity.y = -this.JUMP_CUT_SPEED;
+      }
+      return false;
+    }
+    
+    //jumping lets go, updateJump does the jump as if from the ground
+    if(now - params.jumpPressedTime <= this.JUMP_BUFFER_TIME){
+      this.setClimbing(false);
+      params.lastGroundedTime = now;
+      params.regrabTime = now + this.CLIMB_REGRAB_TIME;
+      return false;
+    }
+    
+    //climbing down onto the ground
+    if(vertical > 0 && (body.blocked.down || body.touching.down)){
+      this.setClimbing(false);
+      return false;
+    }
+    
+    body.velocity.y = vertical * this.CLIMB_SPEED;
+    body.velocity.x = this.getHorizontalInput() * this.CLIMB_SPEED;
+    if(body.velocity.x != 0 || body.velocity.y != 0){
+      this.player.play('walking');
+    }
+    else {
+      this.player.animations.stop();
+    }
+    return true;
+  },
+  setClimbing: function(climbing){
+    var params = this.player.customParams;
+    params.climbing = climbing;
+    params.jumping = false;
+    this.player.body.allowGravity = !climbing;
+    if(climbing){
+      this.player.body.velocity.set(0);
+    }
+  },
+  //climbable tiles (climbable property) or ladder objects, at the feet of the player so the top of a ladder is level with its ledge
+  isOnClimbable: function(){
+    var x = this.player.x;
+    var y = this.player.bottom - 1;
+    var tile = this.map.getTileWorldXY(x, y, this.map.tileWidth, this.map.tileHeight, this.collisionLayer);
+    
+    if(tile && tile.properties.climbable){
+      return true;
+    }
+    return this.ladders.some(function(ladder){
+      return ladder.contains(x, y);
+    });
+  },
+  pressJump: function(){
+    this.player.customParams.jumpPressedTime = this.game.time.now;
+  },
+  isJumpHeld: function(){
+    return this.cursors.up.isDown || this.jumpKey.isDown || this.player.customParams.jumpHeld;
+  },
+  isShootHeld: function(){
+    return this.shootKey.isDown || this.player.customParams.shootHeld;
+  },
+  //fire a shot the way the player faces, if the cooldown is over and there is ammo left
+  shoot: function(){
+    if(!this.player.alive || this.ammo <= 0 || this.game.time.now < this.nextShotTime){
+      return;
+    }
+    this.nextShotTime = this.game.time.now + this.SHOT_COOLDOWN;
+    this.setAmmo(this.ammo - 1);
+    
+    var shot = this.playerShots.getFirstDead();
+    if(!shot){
+      shot = new Meow.Projectile(this.game, 0, 0, 'bullet');
+      shot.tint = 0x66ccff;
+      this.playerShots.add(shot);
+    }
+    var direction = this.player.scale.x < 0 ? -1 : 1;
+    shot.fire(this.player.x + direction * this.player.width / 2, this.player.y, direction < 0 ? Math.PI : 0, this.SHOT_SPEED);
+    Meow.audio.playSfx('jump_sound');
+  },
+  setAmmo: function(ammo){
+    this.ammo = Math.min(ammo, this.MAX_AMMO);
+    this.ammoLabel.text = 'Ammo: ' + this.ammo;
+  },
   loadLevel: function(){  
     //create a tilemap object
     this.map = this.add.tilemap(this.currentLevel);
     
     //join the tile images to the json data
-    this.map.addTilesetImage('tiles_spritesheet', 'gameTiles');
-    this.map.addTilesetImage('420_background','420_background');
-    this.map.addTilesetImage('420_iceland','420_iceland');
-    this.map.addTilesetImage('420_ghost','420_ghost');
+    this.level.tilesets.forEach(function(tileset){
+      this.map.addTilesetImage(tileset.name, tileset.key);
+    }, this);
     
     //create tile layers
     this.backgroundLayer = this.map.createLayer('backgroundLayer');
@@ -116,6 +394,8 @@ Meow.GameState = {
     
     //collision layer should be collisionLayer
     this.map.setCollisionBetween(1, 160, true, 'collisionLayer');
+    //water is swum through and ladders climbed, neither is stood on
+    this.map.setCollision(this.findTilesWithProperty('water').concat(this.findTilesWithProperty('climbable')), false, 'collisionLayer');
     
     //resize the world to fit the layer
     this.collisionLayer.resizeWorld();
@@ -125,18 +405,28 @@ Meow.GameState = {
     this.goal = this.add.sprite(goalArr[0].x, goalArr[0].y, goalArr[0].properties.key);
     this.game.physics.arcade.enable(this.goal);
     this.goal.body.allowGravity = false;
-    this.goal.nextLevel = goalArr[0].properties.nextLevel;
+    //the level manifest decides which level comes next
+    this.goal.nextLevel = Meow.Levels.next(this.currentLevel).key;
+    
+    //create ladder objects, behind the player
+    this.createLadders();
+    
+    //create platforms, behind the player
+    this.platforms = this.add.group();
+    this.createPlatforms();
     
     //create player
     var playerArr = this.findObjectsByType('player', this.map, 'objectsLayer');
     //this.player = this.add.sprite(playerArr[0].x, playerArr[0].y, 'player', 0);
     this.player=this.add.sprite(playerArr[0].x, playerArr[0].y, 'player',2);
+    //respawn point when no checkpoint was reached
+    this.playerStart={x: playerArr[0].x, y: playerArr[0].y};
     this.player.anchor.setTo(0.5);
     //this.player.animations.add('walking', [0, 1, 2, 1], 6, true);
     //this.player.animations.add('walking',[1,2,3,5,3,2],10,true);
     this.player.animations.add('walking',[0,5,7,8,1,3,6,4],10,true);
     this.game.physics.arcade.enable(this.player);
-    this.player.customParams = {};
+    this.player.customParams = {jumpPressedTime: 0, lastGroundedTime: 0, jumpHeld: false, jumping: false, doubleJumped: false, shootHeld: false, swimming: false, climbing: false, onClimbable: false, regrabTime: 0};
     this.player.body.collideWorldBounds = true;    
     //change player bounding box
     //this.player.body.setSize(30, 53, 0, 0);
@@ -146,11 +436,51 @@ Meow.GameState = {
     
     //create enemies
     this.enemies = this.add.group();
+    this.enemyProjectiles = this.add.group();
+    this.playerShots = this.add.group();
+    
+    //sparks where a shot hits
+    this.hitEmitter = this.add.emitter(0, 0, 30);
+    this.hitEmitter.makeParticles('bullet');
+    this.hitEmitter.setScale(0.3, 0.6, 0.3, 0.6);
+    this.hitEmitter.gravity = -500;
+    
+    //sparkles where a coin is picked up
+    this.coinEmitter = this.add.emitter(0, 0, 30);
+    this.coinEmitter.makeParticles('gold');
+    this.coinEmitter.setScale(0.2, 0.4, 0.2, 0.4);
+    this.coinEmitter.setXSpeed(-150, 150);
+    this.coinEmitter.setYSpeed(-250, -50);
     this.createEnemies();
     
+    //create the boss, the goal only shows up once it is defeated
+    this.createBoss();
+    if(this.boss){
+      this.goal.kill();
+    }
+    
     //create coins ----------------------------
     this.coins=this.add.group();
     this.createCoins();
+    
+    //create hidden gems
+    this.gems=this.add.group();
+    this.createGems();
+    
+    //create power-ups
+    this.powerUps=this.add.group();
+    this.createPowerUps();
+    
+    //create checkpoints
+    this.checkpoints=this.add.group();
+    this.createCheckpoints();
+    this.activeCheckpoint=null;
+    //enemies and coins killed since the last checkpoint, restored on respawn
+    this.killedSinceCheckpoint=[];
+    this.checkpointCoins=this.myCoins;
+    this.checkpointLevelCoins=0;
+    this.checkpointScore=Meow.Score.copy(this.score);
+    this.checkpointAmmo=this.ammo;
   },
   createOnscreenControls: function(){
     this.actionButton = this.add.button(this.game.width - 120, this.game.height - 100, 'actionButton');
@@ -160,21 +490,214 @@ Meow.GameState = {
     this.actionButton.fixedToCamera = true;
 
     this.actionButton.events.onInputDown.add(function(){
-      this.player.customParams.mustJump = true;
+      this.player.customParams.jumpHeld = true;
+      this.pressJump();
     }, this);
 
     this.actionButton.events.onInputUp.add(function(){
-      this.player.customParams.mustJump = false;
+      this.player.customParams.jumpHeld = false;
     }, this);
     
+    //up jumps, unless there is something to climb
+    this.cursors.up.onDown.add(function(){
+      if(!this.player.customParams.onClimbable){
+        this.pressJump();
+      }
+    }, this);
+    //space jumps everywhere, also off ladders
+    this.jumpKey = this.game.input.keyboard.addKey(Phaser.Keyboard.SPACEBAR);
+    this.game.input.keyboard.addKeyCapture(Phaser.Keyboard.SPACEBAR);
+    this.jumpKey.onDown.add(this.pressJump, this);
+    
+    //shoot button, left of the jump button
+    this.shootButton = this.add.button(this.game.width - 220, this.game.height - 90, 'actionButton');
+    this.shootButton.alpha = 0.5;
+    this.shootButton.tint = 0xff9933;
+    this.shootButton.scale.setTo(0.8);
+    this.shootButton.fixedToCamera = true;
+    
+    this.shootButton.events.onInputDown.add(function(){
+      this.player.customParams.shootHeld = true;
+    }, this);
+    this.shootButton.events.onInputUp.add(function(){
+      this.player.customParams.shootHeld = false;
+    }, this);
+    
+    //X shoots on the keyboard
+    this.shootKey = this.game.input.keyboard.addKey(Phaser.Keyboard.X);
+    
+    //pause button
+    var style = {font: 'bold 30px Arial', fill: '#fff'};
+    this.pauseButton = this.add.text(this.game.width - 50, 20, 'II', style);
+    this.pauseButton.alpha = 0.7;
+    this.pauseButton.fixedToCamera = true;
+    this.pauseButton.inputEnabled = true;
+    this.pauseButton.events.onInputDown.add(this.pauseGame, this);
+    
+    //buttons don't get input while the game is paused, the pause menu checks the taps itself
+    this.game.input.onDown.add(this.pauseMenuTap, this);
       
   },//end of onScreen controller
+  createMovementControls: function(){
+    this.controls = Meow.Settings.get('controls');
+    
+    if(this.controls == 'stick') {
+      this.stick = this.pad.addStick(0, 0, 100, 'generic');
+      //scale the stick size to 50%
+      this.stick.scale=0.5;
+      //make the joystick more transparent
+      this.stick.apha=0.5;
+      this.stick.alignBottomLeft(20);
+      this.stick.motionLock = Phaser.VirtualJoystick.HORIZONTAL;
+      this.upArrow = this.downArrow = null;
+    }
+    else {
+      this.stick = null;
+      this.player.customParams.buttonDirection = 0;
+      this.player.customParams.buttonVertical = 0;
+      this.leftArrow = this.createArrowButton(20, 'arrowButton_left', -1);
+      this.rightArrow = this.createArrowButton(110, 'arrowButton_right', 1);
+      //up and down show up next to ladders
+      this.upArrow = this.createClimbButton(58, -1);
+      this.downArrow = this.createClimbButton(148, 1);
+    }
+  },
+  createArrowButton: function(x, key, direction){
+    var button = this.add.button(x, this.game.height - 80, key);
+    button.alpha = 0.5;
+    button.fixedToCamera = true;
+    
+    button.events.onInputDown.add(function(){
+      this.player.customParams.buttonDirection = direction;
+    }, this);
+    button.events.onInputUp.add(function(){
+      this.player.customParams.buttonDirection = 0;
+    }, this);
+    return button;
+  },
+  //the left arrow turned to point up or down
+  createClimbButton: function(x, direction){
+    var button = this.add.button(x, this.game.height - 125, 'arrowButton_left');
+    button.anchor.setTo(0.5);
+    button.angle = direction < 0 ? 90 : -90;
+    button.alpha = 0.5;
+    button.fixedToCamera = true;
+    button.visible = false;
+    
+    button.events.onInputDown.add(function(){
+      this.player.customParams.buttonVertical = direction;
+    }, this);
+    button.events.onInputUp.add(function(){
+      this.player.customParams.buttonVertical = 0;
+    }, this);
+    return button;
+  },
+  destroyMovementControls: function(){
+    if(this.controls == 'stick') {
+      this.pad.removeStick(this.stick);
+      this.stick = null;
+    }
+    else {
+      this.leftArrow.destroy();
+      this.rightArrow.destroy();
+      this.upArrow.destroy();
+      this.downArrow.destroy();
+    }
+  },
+  //horizontal input between -1 and 1 from the keyboard, the stick or the arrow buttons
+  getHorizontalInput: function(){
+    if(this.cursors.left.isDown) {
+      return -1;
+    }
+    if(this.cursors.right.isDown) {
+      return 1;
+    }
+    if(this.stick) {
+      return this.stick.isDown ? this.stick.forceX : 0;
+    }
+    return this.player.customParams.buttonDirection;
+  },
+  //vertical input between -1 (up) and 1 (down), only used to climb
+  getVerticalInput: function(){
+    if(this.cursors.up.isDown) {
+      return -1;
+    }
+    if(this.cursors.down.isDown) {
+      return 1;
+    }
+    if(this.stick) {
+      return this.stick.isDown ? this.stick.forceY : 0;
+    }
+    return this.player.customParams.buttonVertical;
+  },
+  //use settings changed from the pause menu right away
+  applySettings: function(){
+    Meow.audio.applySettings();
+    
+    if(this.controls != Meow.Settings.get('controls')) {
+      this.destroyMovementControls();
+      this.createMovementControls();
+    }
+    
+    //the pause mutes the game on its own, mute is set again once it resumes
+    if(!this.game.paused) {
+      Meow.Settings.apply(this.game);
+    }
+  },
+  //tile indexes whose Tiled tile properties (set on the tileset) have the given property
+  findTilesWithProperty: function(property){
+    var indexes = [];
+    
+    this.map.tilesets.forEach(function(tileset){
+      for(var id in tileset.tileProperties){
+        if(tileset.tileProperties[id][property]){
+          indexes.push(tileset.firstgid + +id);
+        }
+      }
+    });
+    return indexes;
+  },
+  //hazard tiles (hazard property: lava, spikes) cost a life, water tiles (water property) make the player swim
+  checkTiles: function(){
+    if(!this.player.alive){
+      return;
+    }
+    
+    //one pixel around the body, so standing on or walking into a hazard counts
+    var body = this.player.body;
+    var tiles = this.collisionLayer.getTiles(body.x - 1, body.y - 1, body.width + 2, body.height + 2);
+    var onHazard = tiles.some(function(tile){
+      return tile.properties.hazard;
+    });
+    if(onHazard && !this.player.customParams.invulnerable){
+      this.hurtPlayer();
+      return;
+    }
+    
+    var tile = this.map.getTileWorldXY(this.player.x, this.player.y, this.map.tileWidth, this.map.tileHeight, this.collisionLayer);
+    this.setSwimming(!!(tile && tile.properties.water));
+  },
+  setSwimming: function(swimming){
+    var params = this.player.customParams;
+    if(params.swimming == swimming){
+      return;
+    }
+    params.swimming = swimming;
+    params.jumping = false;
+    
+    //cancel part of the world gravity while in the water
+    this.player.body.gravity.y = swimming ? -this.game.physics.arcade.gravity.y * (1 - this.SWIM_GRAVITY) : 0;
+  },
   findObjectsByType: function(targetType, tilemap, layer){
     var result = [];
     
     tilemap.objects[layer].forEach(function(element){
-      if(element.properties.type == targetType) {
-        element.y -= tilemap.tileHeight;        
+      //paths and areas drawn in Tiled may have no properties
+      if(element.properties && element.properties.type == targetType) {
+        //tile objects are placed by their bottom left corner, rectangles by their top left one
+        if(element.gid) {
+          element.y -= tilemap.tileHeight;
+        }
         result.push(element);
       }
     }, this);
@@ -182,90 +705,596 @@ Meow.GameState = {
     return result;
   },
   changeLevel: function(player, goal){
-      //stop the background music of current level
-      this.backgroundSound.stop();
-    this.game.state.start('Game', true, false, goal.nextLevel);
-      //TODO: need to store current coin number
-      //save current coin
+    //results of this run, shown on the level complete screen
+    var previous = Meow.Progress.getBest(this.currentLevel);
+    var results = {
+      time: (this.game.time.now - this.levelStartTime) / 1000,
+      coins: this.levelCoins,
+      enemies: this.enemies.countDead() + (this.boss && !this.boss.alive ? 1 : 0),
+      collectibles: this.countCollectibles()
+    };
+    results.stars = Meow.Progress.rate(this.level, results.time, results.coins);
+    results.bestTime = !previous || results.time < previous.time;
+    //seconds left under the par time are worth points
+    results.timeBonus = Meow.Score.add(this.score, 'time', Meow.Score.timeBonus(this.level, results.time));
+    results.score = this.score;
+    results.startScore = this.levelStartScore;
+    Meow.Score.save(this.score);
+    //keep the best coins, time, stars and collectibles of this level
+    Meow.Progress.completeLevel(this.currentLevel, results.coins, results.time, results.collectibles);
+    Meow.OnlineLeaderboard.submitTime(this.currentLevel, results.time);
+    //coins and lives carry over to the next level
     localStorage.setItem('currentCoin',this.myCoins);
-      
-      
+    localStorage.setItem('currentLives',this.lives);
+    
+    this.game.state.start('LevelComplete', true, false, this.currentLevel, goal.nextLevel, results);
   },
   createEnemies: function(){
     var enemyArr = this.findObjectsByType('enemy', this.map, 'objectsLayer');
     var enemy;
     
     enemyArr.forEach(function(element){
-      enemy = new Meow.Enemy(this.game, element.x, element.y, 'slime', +element.properties.velocity, this.map);
+      if(element.properties.enemyType == 'flyer') {
+        enemy = new Meow.FlyingEnemy(this.game, element.x, element.y, this.findPath(element), +element.properties.velocity, this.map);
+      }
+      else {
+        enemy = new Meow.Enemy(this.game, element.x, element.y, element.properties.enemyType, +element.properties.velocity, this.map, this.player, this.enemyProjectiles);
+      }
       this.enemies.add(enemy);
     }, this);
+  },
+  //path of a flying enemy: the polyline named by its path property, or its waypoints property
+  findPath: function(element){
+    if(element.properties.waypoints) {
+      return Meow.FlyingEnemy.parseWaypoints(element.properties.waypoints);
+    }
+    
+    var path = null;
+    this.map.objects['objectsLayer'].forEach(function(object){
+      if(object.polyline && object.name == element.properties.path) {
+        path = object.polyline.map(function(point){
+          return {x: object.x + point[0], y: object.y + point[1]};
+        });
+      }
+    }, this);
+    return path;
+  },
+  createLadders: function(){
+    var ladderArr = this.findObjectsByType('ladder', this.map, 'objectsLayer');
+    
+    this.ladders = ladderArr.map(function(element){
+      //drawn with a tile of the tiles spritesheet, a ladder unless the frame property picks another one
+      this.add.tileSprite(element.x, element.y, element.width, element.height, 'tiles', +(element.properties.frame || 31));
+      return new Phaser.Rectangle(element.x, element.y, element.width, element.height);
+    }, this);
+  },
+  createPlatforms: function(){
+    var platformArr = this.findObjectsByType('platform', this.map, 'objectsLayer');
+    
+    platformArr.forEach(function(element){
+      var properties = element.properties;
+      this.platforms.add(new Meow.Platform(this.game, element.x, element.y, element.width, properties.platformType, {
+        direction: properties.direction,
+        distance: +properties.distance,
+        speed: +properties.speed,
+        pause: +properties.pause
+      }));
+    }, this);
+  },
+  landOnPlatform: function(player, platform){
+    if(platform.platformType == 'crumbling' && platform.body.touching.up){
+      platform.crumble();
+    }
+  },
+  createPowerUps: function(){
+    var powerUpArr = this.findObjectsByType('powerup', this.map, 'objectsLayer');
+    
+    powerUpArr.forEach(function(element){
+      this.powerUps.add(new Meow.PowerUp(this.game, element.x, element.y, element.properties.kind));
+    }, this);
+  },
+  collectPowerUp: function(player, powerUp){
+    powerUp.kill();
+    this.killedSinceCheckpoint.push(powerUp);
+    Meow.audio.playSfx('coin_sound');
+    if(powerUp.stats.ammo){
+      this.setAmmo(this.ammo + powerUp.stats.ammo);
+    }
+    else {
+      this.addEffect(powerUp.kind);
+    }
+  },
+  hasEffect: function(kind){
+    return !!this.effects[kind];
+  },
+  //start an effect, or restart its countdown if it is already on
+  addEffect: function(kind){
+    var endTime = this.game.time.now + Meow.PowerUp.KINDS[kind].duration;
+    
+    if(this.effects[kind]){
+      this.effects[kind].endTime = endTime;
+      return;
+    }
+    
+    var style = {font: '20px Arial', fill: '#fff'};
+    this.effects[kind] = {
+      endTime: endTime,
+      icon: this.add.sprite(0, 0, 'powerups', Meow.PowerUp.KINDS[kind].frame, this.effectsHud),
+      label: this.add.text(0, 0, '', style, this.effectsHud)
+    };
+    this.toggleEffect(kind, true);
+    this.layoutEffects();
+  },
+  removeEffect: function(kind){
+    this.effects[kind].icon.destroy();
+    this.effects[kind].label.destroy();
+    delete this.effects[kind];
+    this.toggleEffect(kind, false);
+    this.layoutEffects();
+  },
+  clearEffects: function(){
+    Object.keys(this.effects).forEach(this.removeEffect, this);
+  },
+  //the parts of an effect that aren't checked every frame
+  toggleEffect: function(kind, on){
+    if(kind == 'shield'){
+      this.player.tint = on ? 0x99ccff : 0xffffff;
+    }
+    else if(kind == 'magnet'){
+      this.coins.setAll('magnet', on ? this.player : null);
+    }
+  },
+  //count down the effects and end the ones that ran out
+  updateEffects: function(){
+    var now = this.game.time.now;
+    
+    Object.keys(this.effects).forEach(function(kind){
+      var remaining = this.effects[kind].endTime - now;
+      if(remaining <= 0){
+        this.removeEffect(kind);
+      }
+      else {
+        this.effects[kind].label.text = Math.ceil(remaining / 1000);
+      }
+    }, this);
+  },
+  //one line per effect under the pause button
+  layoutEffects: function(){
+    Object.keys(this.effects).forEach(function(kind, index){
+      var effect = this.effects[kind];
+      effect.icon.position.setTo(this.game.width - 90, 60 + index * 36);
+      effect.label.position.setTo(this.game.width - 52, 64 + index * 36);
+    }, this);
+  },
+  //one boss per level, with an optional arena rectangle locking the player in during the fight
+  createBoss: function(){
+    var bossArr = this.findObjectsByType('boss', this.map, 'objectsLayer');
+    this.boss = null;
+    this.arena = null;
+    if(!bossArr.length) {
+      return;
+    }
+    
+    this.boss = this.add.existing(new Meow.Boss(this.game, bossArr[0].x, bossArr[0].y, bossArr[0].properties.bossType, this.map, this.player, this.enemyProjectiles));
+    this.boss.events.onKilled.add(this.bossDefeated, this);
+    
+    var arenaArr = this.findObjectsByType('arena', this.map, 'objectsLayer');
+    if(arenaArr.length) {
+      this.arena = new Phaser.Rectangle(arenaArr[0].x, arenaArr[0].y, arenaArr[0].width, arenaArr[0].height);
+    }
+  },
+  //without an arena the fight starts once the boss is half a screen away
+  isInArena: function(sprite){
+    if(this.arena) {
+      return this.arena.contains(sprite.x, sprite.y);
+    }
+    return Math.abs(sprite.x - this.boss.x) < this.game.width / 2;
+  },
+  startBossFight: function(){
+    //keep the camera and the player inside the arena, the world keeps its height so falling still kills
+    if(this.arena) {
+      this.game.world.setBounds(this.arena.x, 0, this.arena.width, this.game.world.height);
+    }
+    this.createBossBar();
+    this.boss.start();
+  },
+  endBossFight: function(){
+    if(this.arena) {
+      this.collisionLayer.resizeWorld();
+    }
+    if(this.bossBar) {
+      this.bossBar.destroy();
+      this.bossBar = null;
+    }
+  },
+  //health bar at the top of the screen while the fight goes on
+  createBossBar: function(){
+    var width = 300;
+    var x = (this.game.width - width) / 2;
+    this.bossBar = this.add.group();
+    this.bossBar.fixedToCamera = true;
+    
+    var style = {font: '18px Arial', fill: '#fff'};
+    var name = this.add.text(this.game.width/2, 60, this.boss.stats.name, style, this.bossBar);
+    name.anchor.setTo(0.5, 1);
+    
+    var background = this.add.graphics(x, 65, this.bossBar);
+    background.beginFill(0x000000, 0.6);
+    background.drawRect(0, 0, width, 14);
+    background.endFill();
+    
+    this.bossBarFill = this.add.graphics(x + 2, 67, this.bossBar);
+    this.bossBarFill.beginFill(0xcc0000);
+    this.bossBarFill.drawRect(0, 0, width - 4, 10);
+    this.bossBarFill.endFill();
+    this.updateBossBar();
+  },
+  updateBossBar: function(){
+    if(this.bossBar) {
+      this.bossBarFill.scale.x = Math.max(0, this.boss.health / this.boss.maxHealth);
+    }
+  },
+  hitBoss: function(player, boss){
+    if(boss.body.touching.up){
+      if(boss.hit()){
+        this.updateBossBar();
+        Meow.audio.playSfx('kick');
+      }
+      //bigger bounce so the player gets clear of it
+      player.body.velocity.y = -this.BOUNCING_SPEED * 2;
+    }
+    else {
+      this.hurtPlayer();
+    }
+  },
+  bossDefeated: function(){
+    this.addPoints('boss', Meow.Score.POINTS.boss, this.boss);
+    this.endBossFight();
+    this.enemyProjectiles.callAll('kill');
+    
+    this.goal.revive();
+    this.goal.alpha = 0;
+    this.game.add.tween(this.goal).to({alpha: 1}, 500, Phaser.Easing.Linear.None, true);
   },
     createCoins: function(){
     var coinArr=this.findObjectsByType('coin',this.map,'objectsLayer');
     var coin;
     coinArr.forEach(function(element){
-        coin=new Meow.Coin(this.game, element.x,element.y,'gold',this.map);
+        coin=new Meow.Coin(this.game, element.x,element.y,element.properties.coinType,this.map);
         this.coins.add(coin);
     },this);
         
     },
+    createGems: function(){
+    var gemArr=this.findObjectsByType('gem',this.map,'objectsLayer');
+    gemArr.forEach(function(element){
+        this.gems.add(new Meow.Gem(this.game, element.x, element.y));
+    },this);
+    },
+    //collected and total of each kind of collectible: coin tiers and gems
+    countCollectibles: function(){
+    var counts={};
+    var count=function(kind, sprite){
+        counts[kind]=counts[kind] || {collected: 0, total: 0};
+        counts[kind].total++;
+        if(!sprite.alive){
+            counts[kind].collected++;
+        }
+    };
+    this.coins.forEach(function(coin){
+        count(coin.tier, coin);
+    });
+    this.gems.forEach(function(gem){
+        count('gem', gem);
+    });
+    return counts;
+    },
+    createCheckpoints: function(){
+    var checkpointArr=this.findObjectsByType('checkpoint',this.map,'objectsLayer');
+    var checkpoint;
+    checkpointArr.forEach(function(element){
+        checkpoint=new Meow.Checkpoint(this.game, element.x, element.y, 'tiles');
+        this.checkpoints.add(checkpoint);
+    },this);
+    },
+    activateCheckpoint: function(player, checkpoint){
+        if(!checkpoint.isActive){
+            checkpoint.activate();
+            this.activeCheckpoint=checkpoint;
+            //remember the coins, score and shots to go back to on respawn
+            this.checkpointCoins=this.myCoins;
+            this.checkpointLevelCoins=this.levelCoins;
+            this.checkpointScore=Meow.Score.copy(this.score);
+            this.checkpointAmmo=this.ammo;
+            this.killedSinceCheckpoint=[];
+        }
+    },
   hitEnemy: function(player, enemy){
-    if(enemy.body.touching.up){
-      enemy.kill();
+    //each enemy type says if it can be stomped
+    if(enemy.body.touching.up && enemy.stats.stompable){
+      if(enemy.hit()){
+        this.killedSinceCheckpoint.push(enemy);
+        //each stomp before landing is worth more
+        this.stompCombo++;
+        this.addPoints('stomps', Meow.Score.stompPoints(this.stompCombo), enemy);
+      }
       player.body.velocity.y = -this.BOUNCING_SPEED;
-    this.hitSound.play();
+    Meow.audio.playSfx('kick');
     }
     else {
-        this.player.kill();
-      this.gameOver();
+      this.hurtPlayer();
     }
+  },
+  killProjectile: function(projectile){
+    projectile.kill();
+  },
+  shootEnemy: function(shot, enemy){
+    this.shotHit(shot);
+    if(enemy.hit()){
+      this.killedSinceCheckpoint.push(enemy);
+      this.addPoints('shots', Meow.Score.POINTS.shot, enemy);
+    }
+  },
+  shootBoss: function(boss, shot){
+    this.shotHit(shot);
+    if(boss.hit()){
+      this.updateBossBar();
+    }
+  },
+  shotHit: function(shot){
+    this.hitEmitter.x = shot.x;
+    this.hitEmitter.y = shot.y;
+    this.hitEmitter.start(true, 300, null, 6);
+    shot.kill();
+    Meow.audio.playSfx('kick');
+  },
+  hitByProjectile: function(player, projectile){
+    projectile.kill();
+    this.hurtPlayer();
   },
     collectCoin:function(player,coin){
         if(coin.body.touching){
             coin.kill();
-            this.myCoins++;
-            this.coinSound.play();
-            this.coinsCountLabel.text='Coins: '+this.myCoins;
+            this.killedSinceCheckpoint.push(coin);
+            this.myCoins+=coin.value;
+            this.levelCoins+=coin.value;
+            this.addPoints('coins', coin.value * Meow.Score.POINTS.coin);
+            Meow.audio.playSfx('coin_sound');
+            this.popCoin(coin);
+            this.coinsCountLabel.text=''+this.myCoins;
+            this.pulseCoinsLabel();
         }
     },
+  //a copy of the coin grows and fades where it was, with a burst of sparkles
+  popCoin: function(coin){
+    var pop=this.add.sprite(coin.x, coin.y, coin.key, coin.frame);
+    pop.anchor.setTo(0.5);
+    this.add.tween(pop).to({y: coin.y - 20, alpha: 0}, 300, Phaser.Easing.Quadratic.Out, true);
+    this.add.tween(pop.scale).to({x: 1.6, y: 1.6}, 300, Phaser.Easing.Quadratic.Out, true).onComplete.add(pop.destroy, pop);
+    
+    this.coinEmitter.x = coin.x;
+    this.coinEmitter.y = coin.y;
+    this.coinEmitter.start(true, 400, null, 6);
+  },
+  //points scored, shown floating up from the sprite that gave them if there is one
+  addPoints: function(source, points, sprite){
+    Meow.Score.add(this.score, source, points);
+    this.updateScoreLabel();
+    
+    if(sprite){
+      var text=this.add.text(sprite.x, sprite.top, '+'+points, {font:'18px Arial', fill:'#ffcc00'});
+      text.anchor.setTo(0.5, 1);
+      this.add.tween(text).to({y: text.y - 30, alpha: 0}, 700, Phaser.Easing.Linear.None, true).onComplete.add(text.destroy, text);
+    }
+  },
+  updateScoreLabel: function(){
+    this.scoreLabel.text='Score: '+Meow.Score.total(this.score);
+  },
+  pulseCoinsLabel: function(){
+    this.game.tweens.removeFrom(this.coinsCountLabel.scale);
+    this.coinsCountLabel.scale.setTo(1);
+    this.add.tween(this.coinsCountLabel.scale).to({x: 1.3, y: 1.3}, 100, Phaser.Easing.Linear.None, true, 0, 0, true);
+  },
+  collectGem: function(player, gem){
+    gem.kill();
+    this.killedSinceCheckpoint.push(gem);
+    Meow.audio.playSfx('coin_sound');
+  },
+  //no collision with enemies while the player is flashing
+  canHitEnemy: function(player, enemy){
+    return !player.customParams.invulnerable;
+  },
+  //hit by an enemy or a shot, the shield takes it if the player has one
+  hurtPlayer: function(){
+    if(this.hasEffect('shield')){
+      this.removeEffect('shield');
+      this.makeInvulnerable();
+      return;
+    }
+    this.playerDied();
+  },
+  playerDied: function(){
+    this.lives--;
+    this.livesLabel.text='Lives: '+this.lives;
+    
+    if(this.lives > 0){
+      this.respawn();
+      this.makeInvulnerable();
+    }
+    else {
+      this.gameOver();
+    }
+  },
+  //back to the last checkpoint (or the level start), with the enemies and coins of the segment as they were
+  respawn: function(){
+    var spawn=this.activeCheckpoint || this.playerStart;
+    this.player.reset(spawn.x, spawn.y);
+    this.player.customParams.jumpPressedTime=0;
+    this.player.customParams.jumping=false;
+    this.setClimbing(false);
+    //losing a life ends the power-ups
+    this.clearEffects();
+    
+    this.enemies.forEachAlive(function(enemy){
+      enemy.respawn();
+    }, this);
+    this.enemyProjectiles.callAll('kill');
+    this.playerShots.callAll('kill');
+    //all the crumbled platforms come back, the way back may need them
+    this.platforms.callAll('respawn');
+    //losing a life during the fight starts it over
+    if(this.boss && this.boss.alive){
+      this.boss.respawn();
+      this.endBossFight();
+    }
+    this.killedSinceCheckpoint.forEach(function(sprite){
+      if(sprite.respawn){
+        sprite.respawn();
+      }
+      else {
+        sprite.revive();
+      }
+    }, this);
+    this.killedSinceCheckpoint=[];
+    
+    this.myCoins=this.checkpointCoins;
+    this.levelCoins=this.checkpointLevelCoins;
+    this.coinsCountLabel.text=''+this.myCoins;
+    this.score=Meow.Score.copy(this.checkpointScore);
+    this.stompCombo=0;
+    this.updateScoreLabel();
+    //the ammo pickups come back with the rest, so the shots do too
+    this.setAmmo(this.checkpointAmmo);
+  },
+  makeInvulnerable: function(){
+    //a new life lost restarts the period
+    if(this.player.customParams.invulnerable){
+      this.endInvulnerability();
+    }
+    this.player.customParams.invulnerable=true;
+    this.flashingTween=this.game.add.tween(this.player).to({alpha: 0.2}, 100, Phaser.Easing.Linear.None, true, 0, -1, true);
+    this.invulnerableTimer=this.game.time.events.add(this.INVULNERABLE_TIME, this.endInvulnerability, this);
+  },
+  endInvulnerability: function(){
+    this.flashingTween.stop();
+    this.game.time.events.remove(this.invulnerableTimer);
+    this.player.alpha=1;
+    this.player.customParams.invulnerable=false;
+  },
   gameOver: function(){
     this.player.kill();
-      //stop the background
-      this.backgroundSound.stop();
-    //play the game over sound
-    this.gameoverSound.play();
-    this.updateHighscore();
+    //play the game over sound over the music
+    Meow.audio.playJingle('gameover');
     localStorage.setItem('currentCoin', 0);
-    //game over messages
+    localStorage.removeItem('currentLives');
+    Meow.Score.clear();
     var style={font:'30px Arial', fill:'#fff'};
     this.gameOverLabel=this.add.text(this.game.width/2, this.game.height/2-30, 'GAME OVER', style);
+    this.gameOverLabel.anchor.setTo(0.5);
     this.gameOverLabel.fixedToCamera=true;
-      
-    style = {font: '20px Arial', fill: '#fff'};
-    this.highScoreLabel=this.add.text(this.game.width/2, this.game.height/2 + 20, 'High score: ' + this.highScore, style);
-    this.highScoreLabel.fixedToCamera=true;
-      
-    this.scoreMsg=this.add.text(this.game.width/2, this.game.height/2 + 50, 'Your score: ' + this.myCoins, style);
-    this.scoreMsg.fixedToCamera=true;
-      
-     this.tap=this.add.text(this.game.width/2, this.game.height/2 + 90, 'Tap to play again', style);
-        this.tap.fixedToCamera=true;
-      this.game.input.onDown.addOnce(this.restart, this);
+    //the score and the name for the high scores are on their own screen, once the player saw what happened
+    this.game.time.events.add(this.GAME_OVER_DELAY, function(){
+      this.game.state.start('GameOver', true, false, this.currentLevel, this.score);
+    }, this);
+  },
+  //pause the game and show the pause menu (also called by index.js when the app goes to the background)
+  pauseGame: function(){
+    //Phaser may already have paused the game itself when the page got hidden, so check for the menu
+    if(this.pauseMenuItems || !this.player.alive){
+      return;
+    }
+    this.game.paused = true;
+    
+    this.pauseMenu = this.add.group();
+    this.pauseMenu.fixedToCamera = true;
+    
+    var overlay = this.add.graphics(0, 0, this.pauseMenu);
+    overlay.beginFill(0x000000, 0.6);
+    overlay.drawRect(0, 0, this.game.width, this.game.height);
+    overlay.endFill();
+    
+    var style = {font: '35px Arial', fill: '#fff'};
+    var title = this.add.text(this.game.width/2, this.game.height/2 - 110, 'PAUSED', style, this.pauseMenu);
+    title.anchor.setTo(0.5);
+    
+    this.pauseGameMenu();
   },
-    restart: function(){
-    //this.game.state.start('Game', true, false, this.currentLevel);
-    this.game.state.start('Game', true, false, 'level1');
+  pauseGameMenu: function(){
+    this.showPauseItems([
+      {label: 'Resume', action: this.resumeGame},
+      {label: 'Restart Level', action: this.restartLevel},
+      {label: 'Quit to Home', action: this.quitToHome},
+      {label: 'Settings', action: this.showPauseSettings}
+    ]);
   },
-    //highest score into LocalStorage
-    updateHighscore: function(){
-    this.highScore = +localStorage.getItem('highScore');
+  //replace the tappable lines of the pause menu
+  showPauseItems: function(items){
+    if(this.pauseMenuItems){
+      this.pauseMenuItems.forEach(function(item){
+        item.text.destroy();
+      });
+    }
     
-    //do we have a new high score
-    if(this.highScore < this.myCoins){
-      this.highScore = this.myCoins;
-      
-      //save new high score
-      localStorage.setItem('highScore', this.highScore);
+    var style = {font: '25px Arial', fill: '#fff'};
+    items.forEach(function(item, index){
+      item.text = this.add.text(this.game.width/2, this.game.height/2 - 50 + index * 40, item.label, style, this.pauseMenu);
+      item.text.anchor.setTo(0.5);
+    }, this);
+    this.pauseMenuItems = items;
+  },
+  showPauseSettings: function(){
+    var items = Meow.Settings.options.map(function(option){
+      return {label: Meow.Settings.describe(option), option: option, action: this.changeSetting};
+    }, this);
+    items.push({label: 'Back', action: this.pauseGameMenu});
+    this.showPauseItems(items);
+  },
+  changeSetting: function(item){
+    Meow.Settings.cycle(item.option);
+    item.text.text = Meow.Settings.describe(item.option);
+    this.applySettings();
+  },
+  pauseMenuTap: function(pointer){
+    if(!this.game.paused){
+      return;
+    }
+    var tapped = null;
+    this.pauseMenuItems.forEach(function(item){
+      if(item.text.getBounds().contains(pointer.x, pointer.y)){
+        tapped = item;
+      }
+    });
+    if(tapped){
+      tapped.action.call(this, tapped);
+    }
+  },
+  resumeGame: function(){
+    this.pauseMenu.destroy();
+    this.pauseMenuItems = null;
+    this.game.paused = false;
+    this.applySettings();
+    //the level timer doesn't count the pause
+    this.levelStartTime += this.game.time.pauseDuration;
+    for(var kind in this.effects){
+      this.effects[kind].endTime += this.game.time.pauseDuration;
+    }
+  },
+  restartLevel: function(){
+    this.game.paused = false;
+    //start again with the coins and lives we had when entering the level
+    localStorage.setItem('currentCoin', this.myCoins - this.levelCoins);
+    localStorage.setItem('currentLives', this.lives);
+    this.game.state.start('LevelLoad', true, false, this.currentLevel);
+  },
+  quitToHome: function(){
+    this.game.paused = false;
+    Meow.audio.stopMusic();
+    this.game.state.start('Home');
+  },
+  //the arena changes the world bounds, put them back before the next state
+  shutdown: function(){
+    if(this.boss && this.boss.alive && this.boss.fighting){
+      this.game.world.setBounds(0, 0, this.game.width, this.game.height);
     }
   },
     render: function()
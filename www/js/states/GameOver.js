@@ -0,0 +1,101 @@
+var Meow = Meow || {};
+
+//shown once the last life is lost: the score of the run and how it was earned
+//a run making the high score table asks for a name first, in a text field over the game, and is saved once it is confirmed
+Meow.GameOverState = {
+  //level: key of the level the run ended on, score: points of the run by source (see Meow.Score)
+  init: function(level, score) {
+    this.level = level;
+    this.score = score;
+    this.total = Meow.Score.total(score);
+  },
+  create: function() {
+    this.game.add.sprite(0, 0, 'background');
+    var centerX = this.game.width / 2;
+    //the game captures the space bar for jumping, the name may need one
+    this.game.input.keyboard.clearCaptures();
+
+    var style = {font: '30px Arial', fill: '#fff'};
+    var title = this.game.add.text(centerX, 40, 'GAME OVER', style);
+    title.anchor.setTo(0.5);
+
+    style = {font: '20px Arial', fill: '#fff'};
+    this.scoreLabel = this.game.add.text(centerX, 85, 'Your score: ' + this.total, style);
+    this.scoreLabel.anchor.setTo(0.5);
+
+    //how the score was earned
+    var details = this.game.add.text(centerX, 113, Meow.Score.describe(this.score).join('   '), {font: '16px Arial', fill: '#fff'});
+    details.anchor.setTo(0.5);
+
+    this.highScoreLabel = this.game.add.text(centerX, 141, '', style);
+    this.highScoreLabel.anchor.setTo(0.5);
+
+    if(Meow.Leaderboard.qualifies(this.total)) {
+      this.highScoreLabel.text = 'New high score! Your name:';
+      this.createNameField();
+    }
+    else {
+      this.saveRun(null);
+    }
+  },
+  //text field over the middle of the game, the page centers the game in the window
+  createNameField: function() {
+    this.nameField = document.createElement('input');
+    this.nameField.type = 'text';
+    this.nameField.className = 'name-field';
+    this.nameField.maxLength = Meow.Leaderboard.NAME_LENGTH;
+    this.nameField.value = Meow.Leaderboard.getLastName();
+    this.nameField.addEventListener('keydown', function(event){
+      if(event.keyCode == 13) {
+        event.preventDefault();
+        this.confirmName();
+      }
+    }.bind(this));
+    document.body.appendChild(this.nameField);
+    this.nameField.focus();
+
+    this.saveButton = this.createButton(this.game.width / 2, this.game.height / 2 + 50, 'Save', this.confirmName);
+  },
+  confirmName: function() {
+    var name = this.nameField.value.trim().substr(0, Meow.Leaderboard.NAME_LENGTH) || Meow.Leaderboard.getLastName();
+    this.removeNameField();
+    this.saveButton.destroy();
+    this.saveRun(name);
+  },
+  removeNameField: function() {
+    if(this.nameField) {
+      this.nameField.blur();
+      document.body.removeChild(this.nameField);
+      this.nameField = null;
+    }
+  },
+  //put the run in the high score table when it has a name, then send it online
+  saveRun: function(name) {
+    if(name) {
+      var rank = Meow.Leaderboard.add({name: name, score: this.total, breakdown: this.score, level: this.level, date: Date.now()});
+      this.scoreLabel.text += '  (#' + (rank + 1) + ')';
+    }
+    this.highScoreLabel.text = 'High score: ' + Meow.Leaderboard.getBest();
+    //the online leaderboard keeps the best run of each signed in player
+    Meow.OnlineLeaderboard.submitScore(this.total, this.score, this.level);
+
+    this.createButton(this.game.width * 0.3, this.game.height - 40, 'Play Again', function(){
+      this.state.start('LevelLoad', true, false, this.level);
+    });
+    this.createButton(this.game.width * 0.7, this.game.height - 40, 'Home', function(){
+      Meow.audio.stopMusic();
+      this.state.start('Home');
+    });
+  },
+  createButton: function(x, y, label, callback) {
+    var style = {font: '22px Arial', fill: '#fff'};
+    var button = this.game.add.text(x, y, label, style);
+    button.anchor.setTo(0.5);
+    button.inputEnabled = true;
+    button.events.onInputDown.add(callback, this);
+    return button;
+  },
+  shutdown: function() {
+    this.removeNameField();
+  }
+};
@@ -12,10 +12,33 @@ Meow.HomeState = {
         
         background.events.onInputDown.add(function(){
             
-            this.state.start('Game');
+            this.state.start('LevelSelect');
         },this);
         
         var style={font:'35px Arial',fill:"#fff"};
         this.game.add.text(200,this.game.world.centerY-10,'TOUCH TO START',style);
+        
+        style={font:'20px Arial',fill:"#fff"};
+        var settings=this.game.add.text(this.game.width-100,this.game.height-40,'Settings',style);
+        settings.inputEnabled=true;
+        settings.events.onInputDown.add(function(){
+            this.state.start('Settings');
+        },this);
+        
+        var highScores=this.game.add.text(20,this.game.height-40,'High scores',style);
+        highScores.inputEnabled=true;
+        highScores.events.onInputDown.add(function(){
+            this.state.start('Leaderboard');
+        },this);
+        
+        //who the online scores are sent for, Firebase may only know after a moment
+        var account=this.game.add.text(this.game.width/2,20,'',{font:'16px Arial',fill:"#fff"});
+        account.anchor.setTo(0.5);
+        this.stopAccountUpdates=Meow.Auth.onChange(function(user){
+            account.text=user ? 'Logged in as '+user.email : 'Log in to send your scores online';
+        },this);
+    },
+    shutdown: function(){
+        this.stopAccountUpdates();
     }
 };
\ No newline at end of file
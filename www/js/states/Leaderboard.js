@@ -0,0 +1,98 @@
+var Meow = Meow || {};
+
+//high score table reached from the home screen, tapping a run shows how its score was earned
+//the Local tab shows the runs played on this device, the Online tab the best run of each signed in player
+Meow.LeaderboardState = {
+  create: function() {
+    this.game.add.sprite(0, 0, 'background');
+
+    var style = {font: '30px Arial', fill: '#fff'};
+    var title = this.game.add.text(this.game.width / 2, 25, 'HIGH SCORES', style);
+    title.anchor.setTo(0.5);
+
+    this.tabs = {
+      local: this.createTab(this.game.width - 160, 'Local', this.showLocal),
+      online: this.createTab(this.game.width - 80, 'Online', this.showOnline)
+    };
+    this.rows = this.game.add.group();
+
+    style = {font: '16px Arial', fill: '#fff'};
+    this.details = this.game.add.text(this.game.width / 2 + 40, this.game.height - 30, '', style);
+    this.details.anchor.setTo(0.5);
+
+    style = {font: '20px Arial', fill: '#fff'};
+    var back = this.game.add.text(20, this.game.height - 40, '< Back', style);
+    back.inputEnabled = true;
+    back.events.onInputDown.add(function(){
+      this.state.start('Home');
+    }, this);
+
+    this.showLocal();
+  },
+  createTab: function(x, label, show) {
+    var tab = this.game.add.text(x, 25, label, {font: '20px Arial', fill: '#fff'});
+    tab.anchor.setTo(0.5);
+    tab.inputEnabled = true;
+    tab.events.onInputDown.add(show, this);
+    return tab;
+  },
+  selectTab: function(name) {
+    //an answer still on its way is for the tab shown before
+    this.request = null;
+    for(var key in this.tabs) {
+      this.tabs[key].fill = key == name ? '#ffcc00' : '#fff';
+    }
+    this.rows.removeAll(true);
+  },
+  showLocal: function() {
+    this.selectTab('local');
+    this.showEntries(Meow.Leaderboard.getEntries());
+  },
+  showOnline: function() {
+    this.selectTab('online');
+    this.details.text = 'Loading...';
+
+    var request = this.request = {};
+    Meow.OnlineLeaderboard.fetchScores().then(function(entries){
+      if(this.request === request) {
+        this.showEntries(entries);
+      }
+    }.bind(this), function(){
+      if(this.request === request) {
+        this.details.text = 'The online scores could not be loaded';
+      }
+    }.bind(this));
+  },
+  showEntries: function(entries) {
+    entries.forEach(function(entry, index){
+      this.createRow(entry, index, 60 + index * 24);
+    }, this);
+    this.details.text = entries.length ? 'Tap a score for its details' : 'No scores yet';
+  },
+  createRow: function(entry, index, y) {
+    var level = entry.level && Meow.Levels.get(entry.level);
+    var columns = [
+      {x: 40, text: (index + 1) + '.'},
+      {x: 75, text: entry.name},
+      {x: 240, text: '' + entry.score},
+      {x: 340, text: level ? level.name : '-'},
+      {x: 500, text: entry.date ? new Date(entry.date).toLocaleDateString() : '-'}
+    ];
+
+    var style = {font: '18px Arial', fill: '#fff'};
+    columns.forEach(function(column){
+      var text = this.game.add.text(column.x, y, column.text, style, this.rows);
+      text.inputEnabled = true;
+      text.events.onInputDown.add(function(){
+        this.showDetails(entry);
+      }, this);
+    }, this);
+  },
+  showDetails: function(entry) {
+    var lines = Meow.Score.describe(Meow.Score.copy(entry.breakdown || {}));
+    this.details.text = entry.name + ': ' + (lines.length ? lines.join('   ') : 'no details');
+  },
+  shutdown: function() {
+    this.request = null;
+  }
+};
@@ -0,0 +1,96 @@
+var Meow = Meow || {};
+
+//summary shown between two levels: time, coins and enemies of the run, stars against the level's par,
+//the score and what was found out of what the level hides
+Meow.LevelCompleteState = {
+  //results: {time, coins, enemies, stars, bestTime, timeBonus, score, startScore, collectibles} of the run
+  init: function(level, nextLevel, results) {
+    this.level = Meow.Levels.get(level);
+    this.nextLevel = nextLevel;
+    this.results = results;
+  },
+  create: function() {
+    this.game.add.sprite(0, 0, 'background');
+    var centerX = this.game.width / 2;
+    var par = this.level.par || {};
+
+    var style = {font: '30px Arial', fill: '#fff'};
+    var title = this.game.add.text(centerX, 25, 'LEVEL COMPLETE', style);
+    title.anchor.setTo(0.5);
+
+    style = {font: '20px Arial', fill: '#fff'};
+    var name = this.game.add.text(centerX, 58, this.level.name, style);
+    name.anchor.setTo(0.5);
+
+    this.createStars(centerX, 95);
+
+    var time = 'Time: ' + Meow.Progress.formatTime(this.results.time);
+    if(par.time !== undefined) {
+      time += '  (par ' + Meow.Progress.formatTime(par.time) + ')';
+    }
+    if(this.results.bestTime) {
+      time += '  New best!';
+    }
+    var coins = 'Coins: ' + this.results.coins;
+    if(par.coins !== undefined) {
+      coins += '  (par ' + par.coins + ')';
+    }
+    var score = 'Score: ' + Meow.Score.total(this.results.score);
+    if(this.results.timeBonus) {
+      score += '  (time bonus +' + this.results.timeBonus + ')';
+    }
+    var lines = [time, coins, 'Enemies defeated: ' + this.results.enemies, score, Meow.Progress.describeCollectibles(this.results.collectibles).join('   ')];
+
+    style = {font: '18px Arial', fill: '#fff'};
+    lines.forEach(function(line, index){
+      var text = this.game.add.text(centerX, 135 + index * 26, line, style);
+      text.anchor.setTo(0.5);
+    }, this);
+
+    //fastest time online, filled in when the answer comes (nothing is shown offline)
+    this.onlineBest = this.game.add.text(centerX, 135 + lines.length * 26, '', style);
+    this.onlineBest.anchor.setTo(0.5);
+    var request = this.request = {};
+    Meow.OnlineLeaderboard.fetchTimes(this.level.key).then(function(entries){
+      if(this.request === request && entries.length) {
+        this.onlineBest.text = 'Online best: ' + entries[0].name + '  ' + Meow.Progress.formatTime(entries[0].time);
+      }
+    }.bind(this), function(){});
+
+    this.createButton(this.game.width * 0.25, 'Next', function(){
+      this.state.start('LevelLoad', true, false, this.nextLevel);
+    });
+    this.createButton(centerX, 'Replay', function(){
+      //the coins and points of this run are collected again
+      localStorage.setItem('currentCoin', +localStorage.getItem('currentCoin') - this.results.coins);
+      Meow.Score.save(this.results.startScore);
+      this.state.start('LevelLoad', true, false, this.level.key);
+    });
+    this.createButton(this.game.width * 0.75, 'Level Select', function(){
+      this.state.start('LevelSelect');
+    });
+  },
+  //three stars, the earned ones pop in one after the other
+  createStars: function(x, y) {
+    for(var i = 0; i < 3; i++) {
+      var earned = i < this.results.stars;
+      var star = this.game.add.text(x + (i - 1) * 45, y, '★', {font: '40px Arial', fill: earned ? '#ffcc00' : '#555'});
+      star.anchor.setTo(0.5);
+
+      if(earned) {
+        star.scale.setTo(0);
+        this.game.add.tween(star.scale).to({x: 1, y: 1}, 300, Phaser.Easing.Back.Out, true, 300 + i * 250);
+      }
+    }
+  },
+  createButton: function(x, label, callback) {
+    var style = {font: '22px Arial', fill: '#fff'};
+    var button = this.game.add.text(x, this.game.height - 40, label, style);
+    button.anchor.setTo(0.5);
+    button.inputEnabled = true;
+    button.events.onInputDown.add(callback, this);
+  },
+  shutdown: function() {
+    this.request = null;
+  }
+};
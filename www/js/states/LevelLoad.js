@@ -0,0 +1,65 @@
+var Meow = Meow || {};
+
+//loading screen shown before each level
+//only loads what the next level needs and unloads what the previous one left in the cache
+Meow.LevelLoadState = {
+  //level currently in the cache
+  loadedLevel: null,
+  
+  init: function(level) {
+    this.level = Meow.Levels.get(level || Meow.Levels.first().key);
+  },
+  preload: function() {
+    //show loading screen
+    this.preloadBar = this.add.sprite(this.game.world.centerX, this.game.world.centerY, 'preloadbar');
+    this.preloadBar.anchor.setTo(0.5);
+    this.preloadBar.scale.setTo(3);
+
+    this.load.setPreloadSprite(this.preloadBar);
+    
+    var style = {font: '25px Arial', fill: '#000'};
+    var levelName = this.add.text(this.game.world.centerX, this.game.world.centerY - 50, this.level.name, style);
+    levelName.anchor.setTo(0.5);
+    
+    if(this.loadedLevel && this.loadedLevel != this.level) {
+      this.unloadLevel(this.loadedLevel, this.level);
+    }
+    this.loadLevel(this.level);
+  },
+  create: function() {
+    this.loadedLevel = this.level;
+    this.state.start('Game', true, false, this.level.key);
+  },
+  loadLevel: function(level) {
+    if(!this.cache.checkTilemapKey(level.key)) {
+      this.load.tilemap(level.key, level.tilemap, null, Phaser.Tilemap.TILED_JSON);
+    }
+    
+    level.tilesets.forEach(function(tileset){
+      if(!this.cache.checkImageKey(tileset.key)) {
+        this.load.image(tileset.key, tileset.url);
+      }
+    }, this);
+    
+    if(!this.cache.checkSoundKey(level.music.key)) {
+      this.load.audio(level.music.key, level.music.urls);
+    }
+    else {
+      Meow.audio.reserveMusic(level.music.key);
+    }
+  },
+  //remove the assets of a level, except the ones the next level shares with it
+  //music is left to the audio manager, it drops the track once it has faded out
+  unloadLevel: function(level, nextLevel) {
+    this.cache.removeTilemap(level.key);
+    
+    var nextKeys = nextLevel.tilesets.map(function(tileset){
+      return tileset.key;
+    });
+    level.tilesets.forEach(function(tileset){
+      if(nextKeys.indexOf(tileset.key) < 0) {
+        this.cache.removeImage(tileset.key, true);
+      }
+    }, this);
+  }
+};
@@ -0,0 +1,63 @@
+var Meow = Meow || {};
+
+//lists every registered level, locked or unlocked, with its best results
+Meow.LevelSelectState = {
+  create: function() {
+    this.game.add.sprite(0, 0, 'background');
+
+    var style = {font: '30px Arial', fill: '#fff'};
+    var title = this.game.add.text(this.game.world.centerX, 30, 'SELECT LEVEL', style);
+    title.anchor.setTo(0.5);
+
+    Meow.Levels.list.forEach(function(level, index){
+      this.createLevelItem(level, 80 + index * 50);
+    }, this);
+
+    style = {font: '20px Arial', fill: '#fff'};
+    var back = this.game.add.text(20, this.game.height - 40, '< Back', style);
+    back.inputEnabled = true;
+    back.events.onInputDown.add(function(){
+      this.state.start('Home');
+    }, this);
+  },
+  createLevelItem: function(level, y) {
+    var unlocked = Meow.Progress.isUnlocked(level);
+    var best = Meow.Progress.getBest(level.key);
+
+    var style = {font: '25px Arial', fill: unlocked ? '#fff' : '#888'};
+    var name = this.game.add.text(60, y, level.name, style);
+
+    var details;
+    if(!unlocked) {
+      details = 'Locked';
+    }
+    else if(best) {
+      details = 'Coins: ' + best.coins + '   Time: ' + Meow.Progress.formatTime(best.time) + '   ' + Meow.Progress.describeStars(best.stars || 1);
+    }
+    else {
+      details = 'Not completed';
+    }
+    style = {font: '18px Arial', fill: unlocked ? '#fff' : '#888'};
+    this.game.add.text(300, y + 5, details, style);
+
+    //what was found so far of the coins and gems the level hides
+    if(unlocked && best) {
+      style = {font: '14px Arial', fill: '#fff'};
+      this.game.add.text(60, y + 28, Meow.Progress.describeCollectibles(best.collectibles || {}).join('   '), style);
+    }
+
+    if(unlocked) {
+      name.inputEnabled = true;
+      name.events.onInputDown.add(function(){
+        this.startLevel(level);
+      }, this);
+    }
+  },
+  startLevel: function(level) {
+    //a run started from here begins with no coins, no score and full lives
+    localStorage.setItem('currentCoin', 0);
+    localStorage.removeItem('currentLives');
+    Meow.Score.clear();
+    this.state.start('LevelLoad', true, false, level.key);
+  }
+};
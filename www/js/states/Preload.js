@@ -15,36 +15,38 @@ Meow.PreloadState = {
     this.load.image('goal', 'assets/images/goal.png');
     //this.load.image('slime', 'assets/images/slime.png');
     this.load.image('slime','assets/images/mouse1.png');
-    //load game coins
+    //other enemy types
+    this.load.image('mouse','assets/images/mouse.png');
+    this.load.image('pinkSlime','assets/images/slime.png');
+    this.load.image('bullet','assets/images/bullet.png');
+    //load game coins, the tiers and their spin frames are made from this one in create (see Meow.Coin.createTextures)
     this.load.image('gold','assets/images/coinGold.png');
+    this.load.image('hudCoins', 'assets/images/hud_coins.png');
+    this.load.image('gem','assets/images/gem.png');
     //load background?
     this.load.image('background','assets/images/background.png');
     this.load.spritesheet('player','assets/images/run.png',38,55,9,1,1);
     this.load.spritesheet('fly', 'assets/images/fly_spritesheet.png', 35, 18, 2, 1, 2);    
+    this.load.spritesheet('powerups', 'assets/images/powerups.png', 32, 32);
     this.load.image('arrowButton', 'assets/images/arrowButton.png');  
     //left arrow and right arrow
     this.load.image('arrowButton_left','assets/images/arrowButton_left.png');
     this.load.image('arrowButton_right','assets/images/arrowButton_right.png')
       
     this.load.image('actionButton', 'assets/images/actionButton.png'); 
+    //tiles as frames, for objects drawn with a single tile (checkpoints)
+    this.load.spritesheet('tiles', 'assets/images/tiles_spritesheet.png', 35, 35, 156, 0, 1);
     
     //load virtual sticker skin
     this.load.atlas('generic', 'assets/virtualjoystick/skins/generic-joystick.png', 'assets/virtualjoystick/skins/generic-joystick.json');
     
-    this.load.image('gameTiles', 'assets/images/tiles_spritesheet.png');    
-    this.load.image('420_background','assets/images/420_background.png');
-    this.load.image('420_iceland','assets/images/420_iceland.png');
-    this.load.image('420_ghost','assets/images/420_ghost.png');
-    this.load.tilemap('level1', 'assets/levels/level1.json', null, Phaser.Tilemap.TILED_JSON);
-    this.load.tilemap('level2', 'assets/levels/level2.json', null, Phaser.Tilemap.TILED_JSON);
-    //add level 3
-    this.load.tilemap('level3','assets/levels/level3.json',null,Phaser.Tilemap.TILED_JSON);
+    //the tilemaps, tilesets and music of each level are loaded by LevelLoad
+    
     //load audios
     this.load.audio('coin_sound', ['assets/audio/coin.mp3', 'assets/audio/coin.ogg']);
     this.load.audio('kick','assets/audio/kick.mp3');
     this.load.audio('jump_sound','assets/audio/jump.mp3');
     this.load.audio('gameover','assets/audio/gameover.mp3');
-    this.load.audio('background_music','assets/audio/WindsOfStories.ogg');
       
       //preload time
       this.game.time.advancedTiming = true;
@@ -52,6 +54,7 @@ Meow.PreloadState = {
     
   },
   create: function() {
+    Meow.Coin.createTextures(this.game);
     //this.state.start('Game');
       this.state.start('Home');
   }
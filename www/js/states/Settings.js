@@ -0,0 +1,31 @@
+var Meow = Meow || {};
+
+//settings screen reached from the home screen, the pause menu shows the same options
+Meow.SettingsState = {
+  create: function() {
+    this.game.add.sprite(0, 0, 'background');
+
+    var style = {font: '30px Arial', fill: '#fff'};
+    var title = this.game.add.text(this.game.world.centerX, 30, 'SETTINGS', style);
+    title.anchor.setTo(0.5);
+
+    style = {font: '25px Arial', fill: '#fff'};
+    Meow.Settings.options.forEach(function(option, index){
+      var text = this.game.add.text(this.game.world.centerX, 100 + index * 50, Meow.Settings.describe(option), style);
+      text.anchor.setTo(0.5);
+      text.inputEnabled = true;
+      text.events.onInputDown.add(function(){
+        Meow.Settings.cycle(option);
+        Meow.Settings.apply(this.game);
+        text.text = Meow.Settings.describe(option);
+      }, this);
+    }, this);
+
+    style = {font: '20px Arial', fill: '#fff'};
+    var back = this.game.add.text(20, this.game.height - 40, '< Back', style);
+    back.inputEnabled = true;
+    back.events.onInputDown.add(function(){
+      this.state.start('Home');
+    }, this);
+  }
+};
@@ -0,0 +1,12 @@
+var Meow = Meow || {};
+
+//small helpers shared by the states and the plugins
+Meow.Utils = {
+  //move value towards target by at most step
+  approach: function(value, target, step) {
+    if(value < target) {
+      return Math.min(value + step, target);
+    }
+    return Math.max(value - step, target);
+  }
+};